@@ -7,12 +7,30 @@ document.addEventListener('DOMContentLoaded', function() {
     const outputSection = document.getElementById('outputSection');
     const clearBtn = document.getElementById('clearForm');
     const copyAllBtn = document.getElementById('copyAllBtn');
+    const exportCalendarBtn = document.getElementById('exportCalendarBtn');
     const acquisitionDateInput = document.getElementById('acquisitionDate');
     const timingIndicator = document.getElementById('timingIndicator');
     const toast = document.getElementById('toast');
+    const caseList = document.getElementById('caseList');
+    const newCaseBtn = document.getElementById('newCaseBtn');
+    const showArchivedInput = document.getElementById('showArchived');
+    const userNameInput = document.getElementById('userName');
+    const facilityRows = document.getElementById('facilityRows');
+    const addFacilityBtn = document.getElementById('addFacilityBtn');
+    const importReport = document.getElementById('importReport');
+    const USER_NAME_KEY = 'chow-user-name';
+    const ROSTER_KEY = 'chow-roster';
 
     window.currentLinearMarkdown = ''; // Store full markdown (exposed globally for Linear integration)
     window.stageMarkdown = {}; // Store markdown for each stage (exposed globally for Linear integration)
+    window.currentCaseId = null; // Case open in the form (exposed globally for Linear integration)
+    window.currentPlan = null; // Plan on screen, a DecisionEngine.process result (exposed globally for Linear integration)
+
+    let currentInputs = null; // Inputs behind the plan on screen
+    let currentProgress = {}; // Checklist progress of the open case, keyed by task id
+    let currentCaseStartedAt = null; // When the open case was created - deadlines count from it
+    let roster = loadRoster(); // Who fills each escalation role - see DecisionEngine.defaultRoster
+    let pendingImport = null; // Linear issue behind an imported case until its first plan is saved - see importCase
 
     // Update timing indicator when date changes
     acquisitionDateInput.addEventListener('change', function() {
@@ -37,47 +55,243 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    // ========================================
+    // Facility table
+    // ========================================
+
+    const CONTRACT_OPTIONS = {
+        '': 'Same as case',
+        ...DecisionEngine.inputOptions.contractSigned.values
+    };
+
+    function escapeAttr(value) {
+        return String(value ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+
+    function addFacilityRow(facility = {}) {
+        const tr = document.createElement('tr');
+        const contractOptions = Object.entries(CONTRACT_OPTIONS)
+            .map(([value, label]) => `<option value="${value}"${value === (facility.contractSigned || '') ? ' selected' : ''}>${label}</option>`)
+            .join('');
+
+        tr.innerHTML = `
+            <td><input type="text" data-field="name" required placeholder="e.g., Sunrise Nursing Home" value="${escapeAttr(facility.name)}"></td>
+            <td><input type="text" data-field="facilityId" placeholder="ID" value="${escapeAttr(facility.facilityId)}"></td>
+            <td><input type="text" data-field="newName" placeholder="If rebranded" value="${escapeAttr(facility.newName)}"></td>
+            <td><input type="number" data-field="arBalance" required min="0" step="0.01" placeholder="0" value="${escapeAttr(facility.arBalance)}"></td>
+            <td><input type="number" data-field="fbsCount" required min="0" step="1" placeholder="0" value="${escapeAttr(facility.fbsCount)}"></td>
+            <td><select data-field="contractSigned">${contractOptions}</select></td>
+            <td><input type="text" data-field="newOwnerName" placeholder="Same as case" value="${escapeAttr(facility.newOwnerName)}"></td>
+            <td><button type="button" class="btn-remove-facility" title="Remove facility">&times;</button></td>
+        `;
+        facilityRows.appendChild(tr);
+        updateFacilityTotals();
+    }
+
+    function readFacilities() {
+        return Array.from(facilityRows.querySelectorAll('tr')).map(tr => {
+            const facility = {};
+            tr.querySelectorAll('[data-field]').forEach(field => {
+                facility[field.dataset.field] = field.value.trim();
+            });
+            return facility;
+        });
+    }
+
+    // Keep at least one row, with the case AR/FBS totals matching the table
+    function resetFacilityRows(facilities = []) {
+        facilityRows.innerHTML = '';
+        (facilities.length > 0 ? facilities : [{}]).forEach(addFacilityRow);
+    }
+
+    function updateFacilityTotals() {
+        const facilities = readFacilities();
+        const sum = field => facilities.reduce((total, f) => total + (Number(f[field]) || 0), 0);
+        const anyEntered = field => facilities.some(f => f[field] !== '');
+
+        document.getElementById('arBalance').value = anyEntered('arBalance') ? sum('arBalance') : '';
+        document.getElementById('fbsCount').value = anyEntered('fbsCount') ? sum('fbsCount') : '';
+    }
+
+    addFacilityBtn.addEventListener('click', () => addFacilityRow());
+
+    facilityRows.addEventListener('input', updateFacilityTotals);
+
+    facilityRows.addEventListener('click', function(e) {
+        const removeBtn = e.target.closest('.btn-remove-facility');
+        if (!removeBtn) return;
+
+        removeBtn.closest('tr').remove();
+        if (!facilityRows.querySelector('tr')) {
+            addFacilityRow();
+        }
+        updateFacilityTotals();
+    });
+
+    resetFacilityRows();
+
     // Form submission
-    form.addEventListener('submit', function(e) {
+    form.addEventListener('submit', async function(e) {
         e.preventDefault();
 
-        // Gather all inputs
-        const inputs = {
+        const inputs = readForm();
+
+        // An imported case starts from the checklist ticks in its Linear issue
+        if (pendingImport) {
+            currentProgress = importedProgress(inputs);
+        }
+
+        // Process through decision engine, keeping progress on tasks that are still in the plan
+        const result = generatePlan(inputs);
+
+        showResult(inputs, result);
+
+        // Scroll to output
+        outputSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        // Save inputs and plan to the open case
+        await saveCurrentCase(inputs, result);
+
+        if (pendingImport) {
+            await linkImportedIssue(result);
+        }
+    });
+
+    // Process through the decision engine with the open case's progress and start date
+    function generatePlan(inputs) {
+        return DecisionEngine.process(inputs, {
+            progress: currentProgress,
+            startDate: currentCaseStartedAt || Date.now(),
+            roster
+        });
+    }
+
+    // Gather all inputs
+    function readForm() {
+        return {
             oldOwnerName: document.getElementById('oldOwnerName').value.trim(),
             newOwnerName: document.getElementById('newOwnerName').value.trim(),
-            affectedFacilities: document.getElementById('affectedFacilities').value.trim(),
-            newFacilityNames: document.getElementById('newFacilityNames').value.trim(),
+            facilities: readFacilities(),
             newOwnerContact: document.getElementById('newOwnerContact').value.trim(),
             preliminaryOutreach: document.getElementById('preliminaryOutreach').value,
             acquisitionDate: document.getElementById('acquisitionDate').value,
             saleType: document.getElementById('saleType').value,
             contractSigned: document.getElementById('contractSigned').value,
-            outstandingAR: document.getElementById('outstandingAR').value,
-            futureBookedShifts: document.getElementById('futureBookedShifts').value,
+            arBalance: document.getElementById('arBalance').value,
+            arAging: {
+                current: document.getElementById('arAgingCurrent').value,
+                days31to60: document.getElementById('arAging31to60').value,
+                days61to90: document.getElementById('arAging61to90').value,
+                days90plus: document.getElementById('arAging90plus').value
+            },
+            fbsCount: document.getElementById('fbsCount').value,
+            fbsValue: document.getElementById('fbsValue').value,
             financialDistress: document.getElementById('financialDistress').value,
             willingnessToPay: document.getElementById('willingnessToPay').value,
             blacklisted: document.getElementById('blacklisted').value,
             badDebt: document.getElementById('badDebt').value
         };
+    }
 
-        // Process through decision engine
-        const result = DecisionEngine.process(inputs);
+    // Show a generated plan
+    function showResult(inputs, result) {
+        currentInputs = inputs;
+        window.currentPlan = result;
 
         // Store markdown for copy
         window.currentLinearMarkdown = result.linearMarkdown;
         window.stageMarkdown = result.stageMarkdown;
 
-        // Render output
         renderOutput(result);
+        renderSensitivity(DecisionEngine.analyzeSensitivity(inputs, { roster }));
+        renderRulesetNotice(result);
 
-        // Show output section
         outputSection.style.display = 'block';
+    }
 
-        // Scroll to output
-        outputSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    function hideResult() {
+        currentInputs = null;
+        window.currentPlan = null;
+        window.currentLinearMarkdown = '';
+        window.stageMarkdown = {};
+        outputSection.style.display = 'none';
+    }
+
+    // ========================================
+    // Ruleset versions
+    // ========================================
+
+    const rulesetNotice = document.getElementById('rulesetNotice');
+    const rulesetChanges = document.getElementById('rulesetChanges');
+    const rerunPlanBtn = document.getElementById('rerunPlan');
+    const applyRerunBtn = document.getElementById('applyRerun');
+    const discardRerunBtn = document.getElementById('discardRerun');
 
-        // Save form state
-        saveFormState(inputs);
+    let rerunResult = null; // Plan re-run under the current ruleset, until used or discarded
+
+    // Flag a saved plan that was generated with another ruleset version
+    function renderRulesetNotice(result) {
+        rerunResult = null;
+        rulesetChanges.innerHTML = '';
+        rerunPlanBtn.style.display = '';
+        applyRerunBtn.style.display = 'none';
+        discardRerunBtn.style.display = 'none';
+
+        const current = DecisionEngine.ruleset;
+        if (result.ruleset && result.ruleset.version === current.version) {
+            rulesetNotice.style.display = 'none';
+            return;
+        }
+
+        document.getElementById('rulesetNoticeText').textContent =
+            `This plan was generated with ${DecisionEngine.describeRuleset(result.ruleset)}. ` +
+            `The current rules are ${DecisionEngine.describeRuleset(current)}.`;
+        rulesetNotice.style.display = 'block';
+    }
+
+    // One line per change between the saved plan and its re-run (see DecisionEngine.diffPlans)
+    function describePlanChanges(diff) {
+        const lines = [];
+        if (diff.riskChanged) {
+            lines.push(`Risk: ${diff.riskFrom.toUpperCase()} → ${diff.riskTo.toUpperCase()} (rule ${diff.ruleTo})`);
+        } else if (diff.ruleFrom && diff.ruleFrom !== diff.ruleTo) { // Older plans didn't record the rule
+            lines.push(`Risk unchanged: ${diff.riskTo.toUpperCase()}, now by rule ${diff.ruleTo} (was ${diff.ruleFrom})`);
+        }
+        diff.added.forEach(task => lines.push(`Added task: ${task.text}`));
+        diff.removed.forEach(task => lines.push(`Removed task: ${task.text}`));
+        diff.reworded.forEach(({ task, from }) => lines.push(`Reworded task: ${from} → ${task.text}`));
+        diff.actionsAdded.forEach(text => lines.push(`New priority action: ${text}`));
+        diff.actionsRemoved.forEach(text => lines.push(`Dropped priority action: ${text}`));
+        return lines;
+    }
+
+    rerunPlanBtn.addEventListener('click', function() {
+        if (!currentInputs) return;
+
+        rerunResult = generatePlan(currentInputs);
+        const lines = describePlanChanges(DecisionEngine.diffPlans(window.currentPlan, rerunResult));
+
+        rulesetChanges.innerHTML = '';
+        (lines.length > 0 ? lines : ['The current rules give the same plan']).forEach(line => {
+            const li = document.createElement('li');
+            li.textContent = line;
+            rulesetChanges.appendChild(li);
+        });
+
+        rerunPlanBtn.style.display = 'none';
+        applyRerunBtn.style.display = '';
+        discardRerunBtn.style.display = '';
+    });
+
+    applyRerunBtn.addEventListener('click', async function() {
+        const result = rerunResult;
+        showResult(currentInputs, result);
+        await saveCurrentCase(currentInputs, result);
+        showToast(`Plan updated to ${DecisionEngine.describeRuleset(result.ruleset)}`);
+    });
+
+    discardRerunBtn.addEventListener('click', function() {
+        renderRulesetNotice(window.currentPlan);
     });
 
     // Render the output
@@ -88,7 +302,12 @@ document.addEventListener('DOMContentLoaded', function() {
 
         document.getElementById('riskLevel').textContent = result.risk.level.toUpperCase() + ' RISK';
         document.getElementById('scenario').textContent = result.scenario;
+        renderExposure(result.risk.exposure);
+        renderFacilityRisks(result.facilities || []); // Plans saved before the facility table have none
         document.getElementById('keyFocus').textContent = result.keyFocus;
+        const ruleset = DecisionEngine.describeRuleset(result.ruleset);
+        document.getElementById('riskRule').textContent = result.risk.ruleId ? `Rule: ${result.risk.ruleId} · ${ruleset}` : ruleset;
+        renderTrace(result.trace);
 
         // Priority actions with confidence info icons
         const priorityList = document.getElementById('priorityList');
@@ -103,22 +322,29 @@ document.addEventListener('DOMContentLoaded', function() {
             } else if (action.confidence === 'medium') {
                 tooltipContent = 'Medium confidence: This is a reasonable approach, but context matters. Use your judgment based on the specific situation.';
             } else {
-                tooltipContent = 'Low confidence: This is an unusual scenario with multiple valid approaches. Consider escalating to Louis Case or Charlie Eikenberg for guidance.';
+                tooltipContent = `Low confidence: This is an unusual scenario with multiple valid approaches. Consider escalating to ${DecisionEngine.rosterNames(roster, 'guidance', 'or')} for guidance.`;
             }
 
             li.innerHTML = `
-                <span class="action-text">${action.text}</span>
+                <span class="action-text"></span>
                 <span class="info-icon" data-confidence="${action.confidence}">
                     <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
                         <circle cx="8" cy="8" r="7" stroke="currentColor" stroke-width="1.5" fill="none"/>
                         <text x="8" y="12" text-anchor="middle" font-size="10" font-weight="bold">i</text>
                     </svg>
-                    <span class="tooltip">${tooltipContent}</span>
+                    <span class="tooltip"></span>
                 </span>
             `;
+            // Action and tooltip text can carry roster names, so they go in as text
+            const actionText = li.querySelector('.action-text');
+            actionText.textContent = action.text;
+            actionText.insertAdjacentHTML('beforeend', dueBadge(action));
+            li.querySelector('.tooltip').textContent = tooltipContent;
             priorityList.appendChild(li);
         });
 
+        renderTimeline(DecisionEngine.generateTimeline(result.priorityActions, result.checklist));
+
         // Staged checklist
         renderStage('stage1', result.checklist.stage1);
         renderStage('stage2', result.checklist.stage2);
@@ -134,7 +360,9 @@ document.addEventListener('DOMContentLoaded', function() {
             alertsList.innerHTML = '';
             result.alerts.forEach(alert => {
                 const li = document.createElement('li');
-                li.innerHTML = `<strong>${alert.type.toUpperCase()}:</strong> ${alert.text}`;
+                const type = document.createElement('strong');
+                type.textContent = `${alert.type.toUpperCase()}:`;
+                li.append(type, ` ${alert.text}`);
                 alertsList.appendChild(li);
             });
         } else {
@@ -142,6 +370,206 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    // Dollar figures behind the risk level
+    function renderExposure(exposure) {
+        const exposureSummary = document.getElementById('exposureSummary');
+        if (!exposure) {
+            exposureSummary.style.display = 'none';
+            return;
+        }
+
+        exposureSummary.style.display = 'block';
+        exposureSummary.innerHTML =
+            `<span>AR: <strong>${exposure.arBalance > 0 ? DecisionEngine.describeAR(exposure) : '$0'}</strong></span>` +
+            `<span>FBS: <strong>${DecisionEngine.describeFBS(exposure)}</strong></span>` +
+            `<span>Exposure score: <strong>${DecisionEngine.formatCurrency(exposure.score)}</strong> (${exposure.band})</span>`;
+    }
+
+    // Due date chip for an open action or task (plans saved before deadlines have none)
+    function dueBadge(item) {
+        if (!item.due || item.completed) return '';
+
+        const today = DecisionEngine.formatDate(DecisionEngine.today());
+        const state = DecisionEngine.isOverdue(item) ? ' overdue' : item.due.date === today ? ' today' : '';
+        const text = DecisionEngine.describeDue(item.due, DecisionEngine.today(), DecisionEngine.isTracked(item));
+        return ` <span class="due-badge${state}" title="${item.due.date}">${text}</span>`;
+    }
+
+    // What to do when - overdue first, then by date, then ongoing work
+    function renderTimeline(timeline) {
+        const container = document.getElementById('timelineGroups');
+        container.innerHTML = '';
+
+        const stageNumbers = { stage1: 1, stage2: 2, stage3: 3, stage4: 4 };
+        const today = DecisionEngine.formatDate(DecisionEngine.today());
+
+        timeline.forEach(group => {
+            const section = document.createElement('div');
+            section.className = 'timeline-group' + (group.overdue ? ' overdue' : group.date === today ? ' today' : '');
+
+            let heading;
+            if (group.overdue) {
+                heading = 'Overdue';
+            } else if (!group.date) {
+                heading = 'Ongoing';
+            } else {
+                // Only action targets are left under a date that has passed
+                const tracked = group.date >= today;
+                heading = `${DecisionEngine.describeDue({ date: group.date }, DecisionEngine.today(), tracked)} · ${group.date}`;
+            }
+
+            section.innerHTML = `<h4>${heading}</h4>`;
+            const ul = document.createElement('ul');
+            group.items.forEach(item => {
+                const li = document.createElement('li');
+                const source = document.createElement('span');
+                source.className = 'timeline-source';
+                source.textContent = item.kind === 'action' ? 'Action' : `Stage ${stageNumbers[item.stage]}`;
+                li.append(source, item.text);
+                if (group.overdue) {
+                    const date = document.createElement('span');
+                    date.className = 'timeline-date';
+                    date.textContent = `due ${item.due.date}`;
+                    li.append(' ', date);
+                }
+                ul.appendChild(li);
+            });
+            section.appendChild(ul);
+            container.appendChild(section);
+        });
+
+        document.getElementById('timeline').style.display = timeline.length > 0 ? 'block' : 'none';
+    }
+
+    // Per-facility risk levels behind the rolled-up case level
+    function renderFacilityRisks(facilities) {
+        const list = document.getElementById('facilityRisks');
+        list.innerHTML = '';
+
+        if (facilities.length < 2) {
+            list.style.display = 'none';
+            return;
+        }
+
+        list.style.display = 'flex';
+        facilities.forEach(facility => {
+            const li = document.createElement('li');
+            li.className = 'facility-risk ' + facility.risk.level;
+            li.title = 'Rule: ' + facility.risk.ruleId;
+            li.textContent = `${facility.name}: ${facility.risk.level.toUpperCase()}`;
+            list.appendChild(li);
+        });
+    }
+
+    // Render the "Why?" panel - every risk rule, whether it matched, and which one won
+    function renderTrace(trace) {
+        // Plans saved before the trace was recorded have none - re-run to see one
+        document.getElementById('decisionTrace').style.display = trace ? '' : 'none';
+        if (!trace) return;
+
+        const matchedCount = trace.rules.filter(rule => rule.matched).length;
+        const trueFacts = Object.entries(trace.facts)
+            .filter(([, value]) => value === true)
+            .map(([fact]) => fact);
+
+        document.getElementById('traceSummary').textContent =
+            `${trace.rules.length} rules checked, ${matchedCount} matched. The first match in the table wins. ` +
+            `Facts: ${trace.facts.timing} CHOW, ${trueFacts.join(', ') || 'none'}.` +
+            (trace.adjustment ? ` ${trace.adjustment.reason}.` : '');
+
+        const traceList = document.getElementById('traceList');
+        traceList.innerHTML = '';
+        trace.rules.forEach(rule => {
+            const li = document.createElement('li');
+            let status = 'No match';
+            if (rule.won) {
+                li.classList.add('won');
+                status = 'Decided';
+            } else if (rule.matched) {
+                li.classList.add('matched');
+                status = 'Also matched';
+            }
+
+            let html = `<span class="trace-status">${status}</span>`;
+            html += `<code>${rule.id}</code> <span class="trace-level ${rule.level}">${rule.level}</span>`;
+            html += `<div class="trace-reason">${rule.reason}</div>`;
+            if (!rule.matched) {
+                const failed = rule.failedConditions.map(c => `${formatCondition(c.fact, c.expected)} (is ${c.actual})`);
+                html += `<div class="trace-failed">Needs: ${failed.join(', ')}</div>`;
+            }
+
+            li.innerHTML = html;
+            traceList.appendChild(li);
+        });
+    }
+
+    function formatCondition(fact, expected) {
+        if (typeof expected === 'boolean') {
+            return expected ? fact : `not ${fact}`;
+        }
+        return `${fact} = ${expected}`;
+    }
+
+    // Render the what-if analysis - which answers would change the outcome
+    function renderSensitivity(analysis) {
+        const chase = analysis.filter(input => input.worthChasing);
+        const summary = document.getElementById('sensitivitySummary');
+        if (chase.length > 0) {
+            summary.innerHTML = `Unknown answers worth chasing first: <strong>${chase.map(input => input.label).join(', ')}</strong>`;
+        } else if (analysis.some(input => input.isUnknown)) {
+            summary.textContent = 'None of the unknown answers would change the risk level or priority actions.';
+        } else {
+            summary.textContent = 'No unknown answers. Changing any single answer below would have this effect:';
+        }
+
+        const list = document.getElementById('sensitivityList');
+        list.innerHTML = '';
+        analysis.forEach(input => {
+            const changed = input.alternatives.filter(alt => alt.changed);
+
+            const div = document.createElement('div');
+            div.className = 'sensitivity-input';
+            if (input.worthChasing) {
+                div.classList.add('worth-chasing');
+            }
+
+            let html = `<div class="sensitivity-header"><strong>${input.label}</strong> currently <em>${input.current}</em>`;
+            if (input.worthChasing) {
+                html += ' <span class="chase-badge">Chase first</span>';
+            }
+            html += '</div>';
+
+            if (changed.length === 0) {
+                html += '<div class="sensitivity-none">No other answer changes the outcome</div>';
+            }
+            div.innerHTML = html;
+
+            if (changed.length > 0) {
+                const ul = document.createElement('ul');
+                changed.forEach(alt => {
+                    const li = document.createElement('li');
+                    li.innerHTML = `If <strong>${alt.label}</strong>: <span class="trace-level ${alt.level}">${alt.level} risk</span>`;
+                    if (!alt.riskChanged) {
+                        li.append(' (unchanged)');
+                    }
+                    // Action text can carry roster names, so it goes in as text
+                    const addDiff = (kind, text) => {
+                        const diff = document.createElement('div');
+                        diff.className = `action-diff ${kind}`;
+                        diff.textContent = text;
+                        li.appendChild(diff);
+                    };
+                    alt.addedActions.forEach(text => addDiff('added', `+ ${text}`));
+                    alt.removedActions.forEach(text => addDiff('removed', `− ${text}`));
+                    ul.appendChild(li);
+                });
+                div.appendChild(ul);
+            }
+
+            list.appendChild(div);
+        });
+    }
+
     function renderStage(stageId, tasks) {
         const stage = document.getElementById(stageId);
         const ul = stage.querySelector('.checklist');
@@ -154,36 +582,214 @@ document.addEventListener('DOMContentLoaded', function() {
 
         stage.style.display = 'block';
 
+        const { done, total } = DecisionEngine.countCompleted(tasks);
+        stage.querySelector('.stage-progress').textContent = `${done}/${total} done`;
+
         tasks.forEach(task => {
             const li = document.createElement('li');
             if (task.completed) {
                 li.classList.add('completed');
             }
 
-            let html = '';
+            // Built with textContent - notes and facility names are free text (and can come from Linear)
+            const label = document.createElement('label');
+            label.className = 'task-check';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.taskId = task.id;
+            checkbox.checked = Boolean(task.completed);
+            const content = document.createElement('span');
 
             // Add label if present
             if (task.label) {
-                html += `<span class="task-label ${task.label}">${task.label}</span>`;
+                const taskLabel = document.createElement('span');
+                taskLabel.className = `task-label ${task.label}`;
+                taskLabel.textContent = task.label;
+                content.appendChild(taskLabel);
             }
 
-            html += task.text;
+            content.append(task.text);
 
             if (task.note) {
-                html += ` <em style="color: #64748b; font-size: 13px;">(${task.note})</em>`;
+                const note = document.createElement('em');
+                note.style.cssText = 'color: #64748b; font-size: 13px;';
+                note.textContent = `(${task.note})`;
+                content.append(' ', note);
+            }
+
+            content.insertAdjacentHTML('beforeend', dueBadge(task));
+
+            if (task.facilities) {
+                task.facilities.forEach(name => {
+                    const facility = document.createElement('span');
+                    facility.className = 'task-facility';
+                    facility.textContent = name;
+                    content.append(' ', facility);
+                });
+            }
+
+            label.append(checkbox, content);
+            li.appendChild(label);
+
+            if (task.completed && task.completedBy) {
+                const meta = document.createElement('div');
+                meta.className = 'task-meta';
+                meta.textContent = `Done by ${task.completedBy} · ${new Date(task.completedAt).toLocaleString()}`;
+                li.appendChild(meta);
             }
 
-            li.innerHTML = html;
             ul.appendChild(li);
         });
     }
 
+    // Checking off a task records who and when, then refreshes the plan and markdown
+    document.getElementById('stagedChecklist').addEventListener('change', async function(e) {
+        const taskId = e.target.dataset.taskId;
+        if (!taskId || !currentInputs) return;
+
+        await updateProgress({
+            [taskId]: { completed: e.target.checked, by: getUserName(), at: Date.now() }
+        });
+    });
+
+    // Merge progress entries into the open case, then refresh and save the plan
+    async function updateProgress(entries) {
+        currentProgress = { ...currentProgress, ...entries };
+
+        const result = generatePlan(currentInputs);
+        window.currentPlan = result;
+        window.currentLinearMarkdown = result.linearMarkdown;
+        window.stageMarkdown = result.stageMarkdown;
+        renderOutput(result);
+
+        await saveCurrentCase(currentInputs, result);
+    }
+
+    // Progress access for the Linear sync (exposed globally for Linear integration)
+    window.getChecklistProgress = () => currentProgress;
+    window.updateChecklistProgress = updateProgress;
+
+    function getUserName() {
+        let name = userNameInput.value.trim();
+        if (!name) {
+            name = (prompt('Your name (recorded with checklist progress):') || '').trim();
+            userNameInput.value = name;
+            localStorage.setItem(USER_NAME_KEY, name);
+        }
+        return name || 'Unknown';
+    }
+
+    userNameInput.value = localStorage.getItem(USER_NAME_KEY) || '';
+    userNameInput.addEventListener('change', function() {
+        localStorage.setItem(USER_NAME_KEY, userNameInput.value.trim());
+    });
+
+    // ========================================
+    // Escalation roster
+    // ========================================
+
+    const rosterModal = document.getElementById('rosterModal');
+    const rosterList = document.getElementById('rosterList');
+
+    // Saved edits ({ role: { people, channel } }) over the default roster
+    function loadRoster() {
+        try {
+            return DecisionEngine.resolveRoster(JSON.parse(localStorage.getItem(ROSTER_KEY)) || {});
+        } catch (e) {
+            console.error('Error loading escalation roster:', e);
+            return DecisionEngine.resolveRoster();
+        }
+    }
+
+    function renderGuidanceContacts() {
+        document.getElementById('guidanceContacts').textContent = DecisionEngine.rosterNames(roster, 'guidance', 'or');
+    }
+
+    function renderRosterEditor(shown) {
+        rosterList.innerHTML = '';
+        Object.entries(shown).forEach(([role, entry]) => {
+            const row = document.createElement('div');
+            row.className = 'roster-role';
+            row.dataset.role = role;
+            row.innerHTML = `
+                <div class="roster-role-name"></div>
+                <span class="helper-text"></span>
+                <div class="roster-fields">
+                    <input type="text" data-field="people" placeholder="Names, comma separated">
+                    <input type="text" data-field="channel" placeholder="Channel, e.g. #team">
+                </div>
+            `;
+            row.querySelector('.roster-role-name').textContent = entry.label;
+            row.querySelector('.helper-text').textContent = entry.description;
+            row.querySelector('[data-field="people"]').value = entry.people.join(', ');
+            row.querySelector('[data-field="channel"]').value = entry.channel;
+            rosterList.appendChild(row);
+        });
+    }
+
+    function readRosterEditor() {
+        const edits = {};
+        rosterList.querySelectorAll('.roster-role').forEach(row => {
+            edits[row.dataset.role] = {
+                people: row.querySelector('[data-field="people"]').value.split(',').map(name => name.trim()).filter(Boolean),
+                channel: row.querySelector('[data-field="channel"]').value.trim()
+            };
+        });
+        return edits;
+    }
+
+    document.getElementById('openRoster').addEventListener('click', function() {
+        renderRosterEditor(roster);
+        rosterModal.classList.add('show');
+    });
+
+    document.getElementById('resetRoster').addEventListener('click', function() {
+        renderRosterEditor(DecisionEngine.resolveRoster());
+    });
+
+    // Save the roster and re-word the plan on screen with it
+    document.getElementById('saveRoster').addEventListener('click', async function() {
+        const edits = readRosterEditor();
+        localStorage.setItem(ROSTER_KEY, JSON.stringify(edits));
+        roster = DecisionEngine.resolveRoster(edits);
+        renderGuidanceContacts();
+        rosterModal.classList.remove('show');
+
+        if (currentInputs) {
+            const result = generatePlan(currentInputs);
+            showResult(currentInputs, result);
+            await saveCurrentCase(currentInputs, result);
+        }
+        showToast('Escalation roster saved');
+    });
+
+    document.getElementById('closeRoster').addEventListener('click', () => rosterModal.classList.remove('show'));
+    rosterModal.addEventListener('click', function(e) {
+        if (e.target === rosterModal) {
+            rosterModal.classList.remove('show');
+        }
+    });
+
+    renderGuidanceContacts();
+
     // Copy all to clipboard
     copyAllBtn.addEventListener('click', async function() {
         await copyToClipboard(window.currentLinearMarkdown);
         showToast('Copied all to clipboard!');
     });
 
+    // Download the plan's key dates, linking the case's Linear issue if it has one
+    exportCalendarBtn.addEventListener('click', async function() {
+        if (!window.currentPlan) return;
+
+        const caseRecord = window.currentCaseId ? await CaseStore.getCase(window.currentCaseId) : null;
+        CalendarExport.downloadCalendar(currentInputs, window.currentPlan, {
+            caseId: window.currentCaseId,
+            linearUrl: caseRecord && caseRecord.linearIssue ? caseRecord.linearIssue.url : ''
+        });
+        showToast('Calendar file downloaded');
+    });
+
     // Per-stage copy buttons
     document.addEventListener('click', async function(e) {
         if (e.target.classList.contains('btn-copy-stage')) {
@@ -226,50 +832,321 @@ document.addEventListener('DOMContentLoaded', function() {
         }, 2000);
     }
 
-    // Clear form
-    clearBtn.addEventListener('click', function() {
+    // Clear form - starts a new case, saved cases stay in the list
+    clearBtn.addEventListener('click', startNewCase);
+    newCaseBtn.addEventListener('click', startNewCase);
+
+    function resetForm() {
         form.reset();
-        outputSection.style.display = 'none';
+        resetFacilityRows();
         timingIndicator.textContent = '';
         timingIndicator.className = 'helper-text';
-        localStorage.removeItem('chow-form-state');
-    });
+    }
+
+    // Fill the form from saved inputs
+    function fillForm(inputs) {
+        document.getElementById('oldOwnerName').value = inputs.oldOwnerName || '';
+        document.getElementById('newOwnerName').value = inputs.newOwnerName || '';
+        resetFacilityRows(facilityRowsFor(inputs));
+        document.getElementById('newOwnerContact').value = inputs.newOwnerContact || '';
+        document.getElementById('preliminaryOutreach').value = inputs.preliminaryOutreach || '';
+        document.getElementById('acquisitionDate').value = inputs.acquisitionDate || '';
+        document.getElementById('saleType').value = inputs.saleType || '';
+        document.getElementById('contractSigned').value = inputs.contractSigned || '';
+        const arAging = inputs.arAging || {};
+        document.getElementById('arAgingCurrent').value = arAging.current || '';
+        document.getElementById('arAging31to60').value = arAging.days31to60 || '';
+        document.getElementById('arAging61to90').value = arAging.days61to90 || '';
+        document.getElementById('arAging90plus').value = arAging.days90plus || '';
+        document.getElementById('fbsValue').value = inputs.fbsValue || '';
+        document.getElementById('financialDistress').value = inputs.financialDistress || 'unknown';
+        document.getElementById('willingnessToPay').value = inputs.willingnessToPay || 'unknown';
+        document.getElementById('blacklisted').value = inputs.blacklisted || 'none';
+        document.getElementById('badDebt').value = inputs.badDebt || 'no';
+
+        updateTimingIndicator();
+    }
+
+    // Cases saved before the facility table only had one line per facility
+    // and case-level AR/FBS - the totals go on the first row. States saved
+    // before dollar amounts only had yes/no - carry over a known $0
+    function facilityRowsFor(inputs) {
+        if (DecisionEngine.hasFacilities(inputs)) {
+            return inputs.facilities;
+        }
 
-    // Save form state to localStorage
-    function saveFormState(inputs) {
-        localStorage.setItem('chow-form-state', JSON.stringify(inputs));
+        const arBalance = inputs.arBalance ?? (inputs.outstandingAR === 'no' ? '0' : '');
+        const fbsCount = inputs.fbsCount ?? (inputs.futureBookedShifts === 'no' ? '0' : '');
+        return DecisionEngine.getFacilities(inputs).map((facility, i) => ({
+            name: facility.name,
+            newName: facility.newName,
+            arBalance: i === 0 ? arBalance : '0',
+            fbsCount: i === 0 ? fbsCount : '0'
+        }));
     }
 
-    // Restore form state from localStorage
-    function restoreFormState() {
-        const saved = localStorage.getItem('chow-form-state');
-        if (!saved) return;
+    // ========================================
+    // Case workspace
+    // ========================================
 
+    function setCurrentCase(id) {
+        window.currentCaseId = id;
+    }
+
+    function startNewCase() {
+        resetForm();
+        hideResult();
+        clearImport();
+        setCurrentCase(null);
+        currentProgress = {};
+        currentCaseStartedAt = null;
+        renderCaseList();
+    }
+
+    async function saveCurrentCase(inputs, result) {
         try {
-            const inputs = JSON.parse(saved);
-
-            document.getElementById('oldOwnerName').value = inputs.oldOwnerName || '';
-            document.getElementById('newOwnerName').value = inputs.newOwnerName || '';
-            document.getElementById('affectedFacilities').value = inputs.affectedFacilities || '';
-            document.getElementById('newFacilityNames').value = inputs.newFacilityNames || '';
-            document.getElementById('newOwnerContact').value = inputs.newOwnerContact || '';
-            document.getElementById('preliminaryOutreach').value = inputs.preliminaryOutreach || '';
-            document.getElementById('acquisitionDate').value = inputs.acquisitionDate || '';
-            document.getElementById('saleType').value = inputs.saleType || '';
-            document.getElementById('contractSigned').value = inputs.contractSigned || '';
-            document.getElementById('outstandingAR').value = inputs.outstandingAR || '';
-            document.getElementById('futureBookedShifts').value = inputs.futureBookedShifts || '';
-            document.getElementById('financialDistress').value = inputs.financialDistress || 'unknown';
-            document.getElementById('willingnessToPay').value = inputs.willingnessToPay || 'unknown';
-            document.getElementById('blacklisted').value = inputs.blacklisted || 'none';
-            document.getElementById('badDebt').value = inputs.badDebt || 'no';
-
-            updateTimingIndicator();
-        } catch (e) {
-            console.error('Error restoring form state:', e);
+            const saved = window.currentCaseId
+                ? await CaseStore.updateCase(window.currentCaseId, { inputs, plan: result, progress: currentProgress })
+                : await CaseStore.createCase(inputs, result, currentProgress);
+            setCurrentCase(saved.id);
+            currentCaseStartedAt = saved.createdAt;
+            await renderCaseList();
+        } catch (err) {
+            console.error('Error saving case:', err);
+            showToast('Could not save this case');
+        }
+    }
+
+    async function openCase(id) {
+        const caseRecord = await CaseStore.getCase(id);
+        if (!caseRecord) return;
+
+        resetForm();
+        fillForm(caseRecord.inputs);
+        clearImport();
+        setCurrentCase(caseRecord.id);
+        currentProgress = caseRecord.progress || {};
+        currentCaseStartedAt = caseRecord.createdAt;
+
+        if (caseRecord.plan) {
+            showResult(caseRecord.inputs, caseRecord.plan);
+        } else {
+            hideResult();
+        }
+
+        await renderCaseList();
+    }
+
+    // ========================================
+    // Import from Linear
+    // ========================================
+
+    /**
+     * Start a new case from inputs read out of a Linear issue (exposed globally for Linear integration)
+     *
+     * The form is filled but not submitted - the fields Linear doesn't record
+     * still need choosing. The first plan generated takes its checklist ticks
+     * from the issue and is saved linked to it.
+     *
+     * - missing:     [{ field, label }] from DecisionEngine.parseLinearDetails
+     * - sources:     markdown of the issue and then its stage sub-issues
+     * - linearIssue: the case's link, see CaseStore (without syncedPlan / syncedAt)
+     */
+    window.importCase = function(inputs, { missing = [], sources = [], linearIssue }) {
+        startNewCase();
+        fillForm(inputs);
+        pendingImport = { sources, linearIssue };
+        renderImportReport(linearIssue, missing);
+        form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    };
+
+    function clearImport() {
+        pendingImport = null;
+        importReport.style.display = 'none';
+        importReport.innerHTML = '';
+    }
+
+    function renderImportReport(linearIssue, missing) {
+        importReport.innerHTML = '';
+
+        const intro = document.createElement('div');
+        const link = document.createElement('a');
+        link.href = linearIssue.url;
+        link.target = '_blank';
+        link.textContent = linearIssue.identifier;
+        intro.append('Imported from ', link, '. Generate the plan to save the case with the issue\'s checklist ticks.');
+        importReport.appendChild(intro);
+
+        if (missing.length > 0) {
+            const heading = document.createElement('div');
+            heading.textContent = 'Not recovered from the issue - check these before generating:';
+            const list = document.createElement('ul');
+            missing.forEach(({ label }) => {
+                const li = document.createElement('li');
+                li.textContent = label;
+                list.appendChild(li);
+            });
+            importReport.append(heading, list);
+        }
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'import-report-close';
+        closeBtn.title = 'Dismiss';
+        closeBtn.innerHTML = '&times;';
+        closeBtn.addEventListener('click', () => { importReport.style.display = 'none'; });
+        importReport.appendChild(closeBtn);
+
+        importReport.style.display = 'block';
+    }
+
+    // Progress entries for the tasks the imported issue ticks differently from a fresh plan
+    function importedProgress(inputs) {
+        const { checklist } = generatePlan(inputs);
+
+        // Stage sub-issues come after the parent, so their checkboxes win
+        const remote = pendingImport.sources.reduce((states, markdown) => ({
+            ...states,
+            ...DecisionEngine.parseLinearChecklist(markdown, checklist)
+        }), {});
+
+        const at = Date.now();
+        const entries = {};
+        DecisionEngine.mergeLinearProgress({ checklist, remote }).changes.forEach(({ task, completed }) => {
+            entries[task.id] = { completed, by: 'Linear', at };
+        });
+        return entries;
+    }
+
+    // Link the newly saved case to its issue, as if it had just been synced
+    async function linkImportedIssue(result) {
+        const { linearIssue } = pendingImport;
+        clearImport();
+        if (!window.currentCaseId) return;
+
+        try {
+            await CaseStore.updateCase(window.currentCaseId, {
+                linearIssue: { ...linearIssue, syncedPlan: result, syncedAt: Date.now() }
+            });
+            showToast(`Case saved and linked to ${linearIssue.identifier}`);
+        } catch (err) {
+            console.error('Error linking imported case:', err);
+            showToast('Could not link this case to Linear');
+        }
+    }
+
+    async function renderCaseList() {
+        let cases = [];
+        try {
+            cases = await CaseStore.listCases({ includeArchived: showArchivedInput.checked });
+        } catch (err) {
+            console.error('Error loading cases:', err);
+        }
+
+        caseList.innerHTML = '';
+
+        if (cases.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'case-empty';
+            empty.textContent = 'No saved cases yet. Generate a plan to save one.';
+            caseList.appendChild(empty);
+            return;
+        }
+
+        cases.forEach(caseRecord => {
+            const inputs = caseRecord.inputs || {};
+            const li = document.createElement('li');
+            li.className = 'case-item';
+            li.dataset.caseId = caseRecord.id;
+            if (caseRecord.id === window.currentCaseId) {
+                li.classList.add('active');
+            }
+            if (caseRecord.archived) {
+                li.classList.add('archived');
+            }
+
+            const title = document.createElement('div');
+            title.className = 'case-title';
+            title.textContent = `${inputs.oldOwnerName || 'Unknown'} → ${inputs.newOwnerName || 'Unknown'}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'case-meta';
+            if (caseRecord.riskLevel) {
+                meta.innerHTML = `<span class="case-risk ${caseRecord.riskLevel}">${caseRecord.riskLevel}</span> `;
+            }
+            meta.append(`Acq. ${inputs.acquisitionDate || '—'} · Updated ${formatRelativeTime(caseRecord.updatedAt)}`);
+
+            const actions = document.createElement('div');
+            actions.className = 'case-actions';
+            actions.innerHTML = `
+                <button type="button" data-action="duplicate">Duplicate</button>
+                <button type="button" data-action="archive">${caseRecord.archived ? 'Unarchive' : 'Archive'}</button>
+                <button type="button" data-action="delete">Delete</button>
+            `;
+
+            li.append(title, meta, actions);
+            caseList.appendChild(li);
+        });
+    }
+
+    caseList.addEventListener('click', async function(e) {
+        const item = e.target.closest('.case-item');
+        if (!item) return;
+
+        const id = item.dataset.caseId;
+        const action = e.target.dataset.action;
+
+        try {
+            if (action === 'duplicate') {
+                const copy = await CaseStore.duplicateCase(id);
+                await openCase(copy.id);
+                showToast('Case duplicated');
+            } else if (action === 'archive') {
+                const caseRecord = await CaseStore.getCase(id);
+                await CaseStore.archiveCase(id, !caseRecord.archived);
+                if (id === window.currentCaseId && !caseRecord.archived && !showArchivedInput.checked) {
+                    startNewCase();
+                } else {
+                    await renderCaseList();
+                }
+            } else if (action === 'delete') {
+                if (!confirm('Delete this case? This cannot be undone.')) return;
+                await CaseStore.deleteCase(id);
+                if (id === window.currentCaseId) {
+                    startNewCase();
+                } else {
+                    await renderCaseList();
+                }
+            } else {
+                await openCase(id);
+            }
+        } catch (err) {
+            console.error('Error updating case:', err);
+            showToast('Could not update this case');
+        }
+    });
+
+    showArchivedInput.addEventListener('change', renderCaseList);
+
+    function formatRelativeTime(timestamp) {
+        const minutes = Math.round((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes}m ago`;
+        const hours = Math.round(minutes / 60);
+        if (hours < 24) return `${hours}h ago`;
+        return new Date(timestamp).toLocaleDateString();
+    }
+
+    // Initialize - bring over the old single saved form, then open the latest case
+    async function initWorkspace() {
+        await CaseStore.migrateLegacyState();
+        const cases = await CaseStore.listCases();
+        if (cases.length > 0) {
+            await openCase(cases[0].id);
+        } else {
+            await renderCaseList();
         }
     }
 
-    // Initialize
-    restoreFormState();
+    initWorkspace().catch(err => console.error('Error loading workspace:', err));
 });
@@ -0,0 +1,213 @@
+/**
+ * Calendar Export - key CHOW dates as an iCalendar (.ics) file
+ *
+ * Built from a DecisionEngine.process result: the acquisition date, PEND /
+ * SUSPEND decision points, the contract-signing target and payment follow-ups.
+ * Items of the same kind due on the same day share one all-day event.
+ */
+
+const CalendarExport = (function() {
+    const PRODUCT_ID = '-//CHOW Action Plan Generator//EN';
+    const FOLLOW_UP_WEEKS = 6; // Weekly payment follow-ups once the dated work is done
+
+    // Which open actions (by text) and tasks (by id) make it onto the calendar
+    const EVENT_KINDS = [
+        {
+            key: 'decision',
+            title: 'PEND / SUSPEND decision',
+            taskIds: ['pend-account', 'pend-if-no-contract', 'ask-leadership-to-pend', 'suspend-account'],
+            actionPattern: /\b(PEND|SUSPEND)\b/
+        },
+        {
+            key: 'contract',
+            title: 'Contract signing target',
+            taskIds: ['get-new-contract-signed'],
+            actionPattern: /contract signed/i
+        },
+        {
+            key: 'payment',
+            title: 'Payment follow-up',
+            taskIds: ['confirm-next-payment', 'confirm-old-owner-responsibility'],
+            actionPattern: /payment/i
+        }
+    ];
+
+    // Ongoing (undated) tasks that become the weekly follow-up
+    const FOLLOW_UP_TASK_IDS = ['chase-payments', 'monitor-payment-commitments'];
+
+    // Escape text per RFC 5545
+    function escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // UTF-8 length of one code point
+    function utf8Length(char) {
+        const code = char.codePointAt(0);
+        return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    }
+
+    // Fold long lines at 75 octets (RFC 5545 3.1), never inside a character -
+    // continuation lines start with a space, which counts toward their 75
+    function foldLine(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = utf8Length(char);
+            if (octets + size > 75) {
+                parts.push(current);
+                current = ' ';
+                octets = 1;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n');
+    }
+
+    // YYYY-MM-DD → YYYYMMDD
+    function toICalDate(date) {
+        return date.replace(/-/g, '');
+    }
+
+    function toICalTimestamp(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    function slugify(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Collect the calendar events for a plan
+     *
+     * Returns: Array of { uid, date, title, details: [text], rrule? }
+     */
+    function buildEvents(inputs, result, caseId) {
+        const uidPrefix = caseId || slugify(`${inputs.oldOwnerName} ${inputs.newOwnerName} ${inputs.acquisitionDate}`);
+        const events = [];
+
+        if (inputs.acquisitionDate) {
+            events.push({
+                uid: `${uidPrefix}-acquisition`,
+                date: inputs.acquisitionDate,
+                title: 'Acquisition / transition date',
+                details: [result.scenario]
+            });
+        }
+
+        const openTasks = Object.values(result.checklist).flat().filter(task => !task.completed);
+        const byKindAndDate = new Map();
+        const add = (kind, due, text) => {
+            if (!due) return;
+            const key = `${kind.key}-${due.date}`;
+            if (!byKindAndDate.has(key)) {
+                byKindAndDate.set(key, { uid: `${uidPrefix}-${key}`, date: due.date, title: kind.title, details: [] });
+            }
+            const event = byKindAndDate.get(key);
+            if (!event.details.includes(text)) {
+                event.details.push(text);
+            }
+        };
+
+        EVENT_KINDS.forEach(kind => {
+            result.priorityActions
+                .filter(action => kind.actionPattern.test(action.text))
+                .forEach(action => add(kind, action.due, action.text));
+            openTasks
+                .filter(task => kind.taskIds.includes(task.id))
+                .forEach(task => add(kind, task.due, task.text));
+        });
+        events.push(...byKindAndDate.values());
+
+        // Ongoing payment chasing repeats weekly, starting after the last dated task
+        const followUps = openTasks.filter(task => FOLLOW_UP_TASK_IDS.includes(task.id));
+        const lastDue = openTasks.filter(task => task.due).map(task => task.due.date).sort().pop();
+        if (followUps.length > 0 && lastDue) {
+            const start = DecisionEngine.formatDate(DecisionEngine.addDays(DecisionEngine.parseDate(lastDue), 7));
+            events.push({
+                uid: `${uidPrefix}-payment-weekly`,
+                date: start,
+                title: 'Weekly payment follow-up',
+                details: followUps.map(task => task.text),
+                rrule: `FREQ=WEEKLY;COUNT=${FOLLOW_UP_WEEKS}`
+            });
+        }
+
+        return events.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Build the .ics file contents for a plan
+     *
+     * options.caseId:    used for stable event UIDs, so re-imports update events
+     * options.linearUrl: the case's Linear issue, linked from every event
+     * options.now:       DTSTAMP (default now)
+     */
+    function buildCalendar(inputs, result, options = {}) {
+        const stamp = toICalTimestamp(options.now || Date.now());
+        const summaryPrefix = `CHOW ${inputs.oldOwnerName} → ${inputs.newOwnerName}`;
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeText(summaryPrefix)}`
+        ];
+
+        buildEvents(inputs, result, options.caseId).forEach(event => {
+            const nextDay = DecisionEngine.formatDate(DecisionEngine.addDays(DecisionEngine.parseDate(event.date), 1));
+            let description = event.details.map(text => `- ${text}`).join('\n');
+            description += `\n\nRisk: ${result.risk.level.toUpperCase()}`;
+            if (options.linearUrl) {
+                description += `\nLinear: ${options.linearUrl}`;
+            }
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.uid}@chow-action-plan`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${toICalDate(event.date)}`,
+                `DTEND;VALUE=DATE:${toICalDate(nextDay)}`,
+                `SUMMARY:${escapeText(`${summaryPrefix}: ${event.title}`)}`,
+                `DESCRIPTION:${escapeText(description)}`
+            );
+            if (event.rrule) {
+                lines.push(`RRULE:${event.rrule}`);
+            }
+            if (options.linearUrl) {
+                lines.push(`URL:${options.linearUrl}`);
+            }
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    // Save the calendar as a file download
+    function downloadCalendar(inputs, result, options = {}) {
+        const blob = new Blob([buildCalendar(inputs, result, options)], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `chow-${slugify(inputs.oldOwnerName)}-to-${slugify(inputs.newOwnerName)}.ics`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    return {
+        buildEvents,
+        buildCalendar,
+        downloadCalendar
+    };
+})();
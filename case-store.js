@@ -0,0 +1,160 @@
+/**
+ * Case Store - IndexedDB persistence for CHOW cases
+ *
+ * Each case record:
+ * {
+ *   id, inputs, plan (DecisionEngine.process result or null),
+ *   progress ({ [taskId]: { completed, by, at } } - see DecisionEngine.applyProgress),
+ *   linearIssue ({ id, identifier, url, children?: [{ stage, id, identifier, url }],
+ *                 syncedPlan, syncedAt } once sent to Linear, else absent -
+ *                identifier and url are null while the issue waits in the outbox),
+ *   riskLevel, archived, createdAt, updatedAt
+ * }
+ */
+
+const CaseStore = (function() {
+    const DB_NAME = 'chow-workspace';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'cases';
+    const LEGACY_STORAGE_KEY = 'chow-form-state';
+
+    let dbPromise = null;
+
+    // Open (and create on first use) the database
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = function() {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                        store.createIndex('updatedAt', 'updatedAt');
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    // Run a single request against the cases store and resolve with its result
+    async function withStore(mode, callback) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = callback(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    function generateId() {
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return 'case-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    }
+
+    // List cases, most recently updated first
+    async function listCases(options = {}) {
+        const cases = await withStore('readonly', store => store.getAll());
+        return cases
+            .filter(c => options.includeArchived || !c.archived)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async function getCase(id) {
+        const found = await withStore('readonly', store => store.get(id));
+        return found || null;
+    }
+
+    // Insert or replace a case, stamping updatedAt
+    async function saveCase(caseRecord) {
+        const record = { ...caseRecord, updatedAt: Date.now() };
+        await withStore('readwrite', store => store.put(record));
+        return record;
+    }
+
+    async function createCase(inputs, plan = null, progress = {}) {
+        const now = Date.now();
+        return saveCase({
+            id: generateId(),
+            inputs,
+            plan,
+            progress,
+            riskLevel: plan ? plan.risk.level : null,
+            archived: false,
+            createdAt: now
+        });
+    }
+
+    // Merge changes into an existing case
+    async function updateCase(id, changes) {
+        const existing = await getCase(id);
+        if (!existing) {
+            throw new Error(`Case not found: ${id}`);
+        }
+
+        const record = { ...existing, ...changes };
+        if (changes.plan) {
+            record.riskLevel = changes.plan.risk.level;
+        }
+        return saveCase(record);
+    }
+
+    // Copy a case's inputs and plan into a new, unarchived case
+    async function duplicateCase(id) {
+        const existing = await getCase(id);
+        if (!existing) {
+            throw new Error(`Case not found: ${id}`);
+        }
+
+        // The copy starts without the original's Linear issue
+        const { linearIssue: _linearIssue, ...copy } = existing;
+        return saveCase({
+            ...copy,
+            id: generateId(),
+            archived: false,
+            createdAt: Date.now()
+        });
+    }
+
+    async function archiveCase(id, archived = true) {
+        return updateCase(id, { archived });
+    }
+
+    async function deleteCase(id) {
+        await withStore('readwrite', store => store.delete(id));
+    }
+
+    // Move the single form state saved by older versions into a case
+    async function migrateLegacyState() {
+        const saved = localStorage.getItem(LEGACY_STORAGE_KEY);
+        if (!saved) return null;
+
+        try {
+            const migrated = await createCase(JSON.parse(saved));
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+            return migrated;
+        } catch (e) {
+            console.error('Error migrating saved form state:', e);
+            return null;
+        }
+    }
+
+    return {
+        listCases,
+        getCase,
+        createCase,
+        updateCase,
+        duplicateCase,
+        archiveCase,
+        deleteCase,
+        migrateLegacyState
+    };
+})();
@@ -0,0 +1,280 @@
+/**
+ * Consistency Checker - sweeps the scenario space and reports where the
+ * engine's separate decisions disagree
+ *
+ * calculateRisk, generateKeyFocus, selectPriorityActions and
+ * generateChecklist each work out the scenario on their own. The sweep runs
+ * every combination of the enumerated inputs, timing and a few exposure
+ * levels, and reports three kinds of finding:
+ * - contradiction: two parts of one plan disagree (e.g. the checklist pends
+ *   the account but no priority action says to)
+ * - fallback:      a generator fell through to its generic default text
+ * - unreachable:   a risk rule, configured task or deadline pattern that no
+ *   scenario ever uses
+ *
+ * Runs in the browser (scenario explorer page) or from Node:
+ *   node consistency-checker.js          summary, exit code 1 on contradictions
+ *   node consistency-checker.js --json   the full report as JSON
+ */
+
+const ConsistencyChecker = (function(engine) {
+    const EXAMPLE_LIMIT = 3; // Example scenarios kept per finding
+
+    // Inputs varied on their own - AR and FBS are varied together as EXPOSURES
+    const FIELDS = [
+        'preliminaryOutreach', 'saleType', 'contractSigned', 'financialDistress',
+        'willingnessToPay', 'blacklisted', 'badDebt'
+    ];
+
+    // Yes/no answers, plus dollar amounts either side of the exposure thresholds
+    // - the scenario explorer varies exposure the same way
+    const EXPOSURES = (() => {
+        const { thresholds } = engine.exposureConfig;
+        const minimal = thresholds.minimal / 2;
+        return {
+            none: { label: 'No AR or FBS', inputs: { outstandingAR: 'no', futureBookedShifts: 'no' } },
+            'ar-only': { label: 'AR only', inputs: { outstandingAR: 'yes', futureBookedShifts: 'no' } },
+            'fbs-only': { label: 'FBS only', inputs: { outstandingAR: 'no', futureBookedShifts: 'yes' } },
+            'ar-and-fbs': { label: 'AR and FBS', inputs: { outstandingAR: 'yes', futureBookedShifts: 'yes' } },
+            'minimal-amount': {
+                label: `${engine.formatCurrency(minimal)} AR, no FBS`,
+                inputs: { arBalance: String(minimal), fbsCount: '0' }
+            },
+            'major-amount': {
+                label: `${engine.formatCurrency(thresholds.major)} AR, no FBS`,
+                inputs: { arBalance: String(thresholds.major), fbsCount: '0' }
+            }
+        };
+    })();
+
+    const TIMING_OFFSET_DAYS = 30; // Acquisition date this far either side of today
+
+    // Generic default texts - see generateKeyFocus and selectPriorityActions
+    const KEY_FOCUS_FALLBACK = 'Gather remaining information, confirm financial responsibility, and coordinate with Sales on contract status.';
+    const ACTION_FALLBACKS = {
+        high: 'PEND account to prevent additional exposure',
+        medium: 'Confirm financial responsibility with appropriate party',
+        low: 'Follow standard CHOW process - situation is low risk'
+    };
+
+    // The level a key focus text opens with, if it states one
+    const KEY_FOCUS_LEVELS = [
+        { pattern: /^(High-risk|Critical)\b/, level: 'high' },
+        { pattern: /^Medium risk\b/, level: 'medium' },
+        { pattern: /^Low risk\b/, level: 'low' }
+    ];
+
+    // Checklist tasks that pend (or suspend) the account, or ask whether to
+    const PEND_TASK_IDS = ['pend-account', 'pend-if-no-contract', 'ask-leadership-to-pend', 'suspend-account'];
+    const UNCONDITIONAL_PEND_TASK_IDS = ['pend-account'];
+
+    // Every combination, as process inputs plus a short label for each scenario
+    function scenarios(today) {
+        const dates = {
+            past: engine.formatDate(engine.addDays(today, -TIMING_OFFSET_DAYS)),
+            future: engine.formatDate(engine.addDays(today, TIMING_OFFSET_DAYS))
+        };
+        const dimensions = [
+            ...FIELDS.map(field => ({ field, values: Object.keys(engine.inputOptions[field].values) })),
+            { field: 'exposure', values: Object.keys(EXPOSURES) },
+            { field: 'timing', values: Object.keys(dates) }
+        ];
+        const combos = dimensions.reduce((all, { field, values }) =>
+            all.flatMap(combo => values.map(value => ({ ...combo, [field]: value }))), [{}]);
+
+        return combos.map(combo => {
+            const { exposure, timing, ...answers } = combo;
+            return {
+                combo,
+                inputs: {
+                    oldOwnerName: 'Old Owner',
+                    newOwnerName: 'New Owner',
+                    affectedFacilities: 'Facility',
+                    newFacilityNames: '',
+                    newOwnerContact: '',
+                    acquisitionDate: dates[timing],
+                    ...answers,
+                    ...EXPOSURES[exposure].inputs
+                }
+            };
+        });
+    }
+
+    // Contradictions and fallbacks within one plan: [{ type, check, message }]
+    function checkPlan(result) {
+        const findings = [];
+        const level = result.risk.level;
+        const taskIds = Object.values(result.checklist).flat().map(task => task.id);
+        const actions = result.priorityActions;
+
+        if (result.keyFocus === KEY_FOCUS_FALLBACK && level !== 'low') {
+            findings.push({
+                type: 'fallback',
+                check: 'key-focus-default',
+                message: `${level.toUpperCase()} risk, but the key focus falls through to the generic default`
+            });
+        }
+
+        const stated = KEY_FOCUS_LEVELS.find(({ pattern }) => pattern.test(result.keyFocus));
+        if (stated && stated.level !== level) {
+            findings.push({
+                type: 'contradiction',
+                check: 'key-focus-level',
+                message: `Key focus says ${stated.level.toUpperCase()} risk, the assessment says ${level.toUpperCase()}`
+            });
+        }
+
+        if (actions.length > 0 && actions[0].text === ACTION_FALLBACKS[level]) {
+            findings.push({
+                type: 'fallback',
+                check: 'actions-default',
+                message: `Priority actions fall through to the generic ${level.toUpperCase()} risk default`
+            });
+        }
+
+        const actionsPend = actions.some(action => /\bPEND\b/.test(action.text));
+        const actionsOrderPend = actions.some(action => action.confidence !== 'low' && /^PEND\b/.test(action.text));
+        if (taskIds.some(id => UNCONDITIONAL_PEND_TASK_IDS.includes(id)) && !actionsPend) {
+            findings.push({
+                type: 'contradiction',
+                check: 'pend-checklist-only',
+                message: 'Checklist pends the account, but no priority action mentions PEND'
+            });
+        }
+        if (actionsOrderPend && !taskIds.some(id => PEND_TASK_IDS.includes(id))) {
+            findings.push({
+                type: 'contradiction',
+                check: 'pend-actions-only',
+                message: 'A priority action says to PEND, but the checklist has no pend or suspend task'
+            });
+        }
+
+        if (level === 'low' && result.alerts.some(alert => alert.type === 'critical')) {
+            findings.push({
+                type: 'contradiction',
+                check: 'low-risk-critical-alert',
+                message: 'LOW risk with a critical alert'
+            });
+        }
+
+        return findings;
+    }
+
+    // Config entries no scenario used: [{ type, check, message }]
+    function checkCoverage(seen) {
+        const findings = [];
+        const unreachable = (check, message) => findings.push({ type: 'unreachable', check, message });
+
+        engine.riskRules.filter(rule => !seen.rules.has(rule.id)).forEach(rule =>
+            unreachable('risk-rule', `Risk rule \`${rule.id}\` never decides a scenario`));
+
+        const configuredTasks = new Set([
+            ...Object.keys(engine.deadlineConfig.tasks),
+            ...Object.keys(engine.ruleset.taskRoles)
+        ]);
+        [...configuredTasks].filter(id => !seen.tasks.has(id)).forEach(id =>
+            unreachable('configured-task', `Task \`${id}\` has a deadline or role configured but is never generated`));
+
+        engine.deadlineConfig.actions.filter(rule => !seen.actionPatterns.has(rule)).forEach(rule =>
+            unreachable('deadline-pattern', `Deadline pattern ${rule.pattern} matches no priority action`));
+
+        return findings;
+    }
+
+    /**
+     * Sweep every scenario and collect the findings
+     *
+     * options.today: date timing is measured from (default today)
+     *
+     * Returns: {
+     *   ruleset, scenarios (count),
+     *   counts: { contradiction, fallback, unreachable },
+     *   findings: [{ type, check, message, count, examples: [combo] }] - contradictions first
+     * }
+     */
+    function run(options = {}) {
+        const today = engine.startOfDay(options.today || engine.today());
+        const grouped = new Map();
+        const seen = { rules: new Set(), tasks: new Set(), actionPatterns: new Set() };
+        const all = scenarios(today);
+
+        const record = (finding, combo) => {
+            const key = `${finding.check}\n${finding.message}`;
+            if (!grouped.has(key)) {
+                grouped.set(key, { ...finding, count: 0, examples: [] });
+            }
+            const entry = grouped.get(key);
+            entry.count++;
+            if (combo && entry.examples.length < EXAMPLE_LIMIT) {
+                entry.examples.push(combo);
+            }
+        };
+
+        all.forEach(({ combo, inputs }) => {
+            const result = engine.process(inputs, { clock: today });
+
+            seen.rules.add(result.risk.ruleId);
+            Object.values(result.checklist).flat().forEach(task => seen.tasks.add(task.id));
+            engine.deadlineConfig.actions.forEach(rule => {
+                if (result.priorityActions.some(action => rule.pattern.test(action.text))) {
+                    seen.actionPatterns.add(rule);
+                }
+            });
+
+            checkPlan(result).forEach(finding => record(finding, combo));
+        });
+        checkCoverage(seen).forEach(finding => record(finding, null));
+
+        const order = ['contradiction', 'fallback', 'unreachable'];
+        const findings = [...grouped.values()].sort((a, b) =>
+            (order.indexOf(a.type) - order.indexOf(b.type)) || (b.count - a.count));
+
+        const counts = { contradiction: 0, fallback: 0, unreachable: 0 };
+        findings.forEach(finding => counts[finding.type]++);
+
+        return {
+            ruleset: engine.describeRuleset(engine.ruleset),
+            scenarios: all.length,
+            counts,
+            findings
+        };
+    }
+
+    // One line per example scenario, e.g. "saleType=asset, contractSigned=yes, ..."
+    function describeCombo(combo) {
+        return Object.entries(combo).map(([field, value]) => `${field}=${value}`).join(', ');
+    }
+
+    /**
+     * Plain-text summary of a report, e.g. for the terminal
+     */
+    function formatReport(report) {
+        const lines = [
+            `${report.ruleset}: ${report.scenarios} scenarios - ${report.counts.contradiction} contradictions, ` +
+            `${report.counts.fallback} fallbacks, ${report.counts.unreachable} unreachable`
+        ];
+        report.findings.forEach(finding => {
+            lines.push('', `[${finding.type}] ${finding.message}${finding.examples.length > 0 ? ` (${finding.count} scenarios)` : ''}`);
+            finding.examples.forEach(combo => lines.push(`  e.g. ${describeCombo(combo)}`));
+        });
+        return lines.join('\n');
+    }
+
+    return {
+        exposures: EXPOSURES,
+        run,
+        checkPlan,
+        describeCombo,
+        formatReport
+    };
+})(typeof DecisionEngine !== 'undefined' ? DecisionEngine : require('./decision-engine.js'));
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsistencyChecker;
+
+    if (require.main === module) {
+        const report = ConsistencyChecker.run();
+        console.log(process.argv.includes('--json') ? JSON.stringify(report, null, 2) : ConsistencyChecker.formatReport(report));
+        process.exitCode = report.counts.contradiction > 0 ? 1 : 0;
+    }
+}
@@ -1,189 +1,824 @@
 /**
  * CHOW Decision Engine
  * Calculates risk levels and generates action plans based on CHOW variables
+ *
+ * A UMD module with no DOM dependency - the same engine backs the page, Node
+ * scripts and services:
+ * - <script src="decision-engine.js">                  the `DecisionEngine` global
+ * - require('./decision-engine.js')                    CommonJS (Node)
+ * - import DecisionEngine from './decision-engine.mjs' ES module (Node or browser)
+ *
+ * Nothing reads the real clock except DecisionEngine.clock - pass
+ * `options.clock` to process, or use withClock, to reproduce a result as of
+ * a given day.
  */
 
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else {
+        root.DecisionEngine = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+// The factory body is deliberately not indented, so the wrapper doesn't touch every line
+'use strict';
+
+/**
+ * Risk rules, evaluated top to bottom - the first rule whose conditions all
+ * match decides the risk level.
+ *
+ * Core principle: Risk = Financial Exposure × Likelihood of Loss
+ * - If no exposure ($0 AR, no FBS), risk is LOW regardless of other factors
+ * - Stock sale with contract = LOW (new owner committed and assumes debt)
+ * - High risk requires BOTH exposure AND danger signals
+ *
+ * Each rule:
+ * - id:         stable identifier, shown with every result - never reuse one
+ * - conditions: fact → required value (facts come from deriveFacts)
+ * - level:      'high' | 'medium' | 'low'
+ * - reason:     primary reason shown to the user
+ * - notes:      optional extra reasons, each with its own conditions
+ */
+const RISK_RULES = [
+    // ========================================
+    // LOW RISK - Safe scenarios
+    // ========================================
+
+    // No financial exposure = nothing to lose, unless the relationship itself can't continue
+    {
+        id: 'no-exposure-new-owner-blacklisted',
+        conditions: { hasExposure: false, newOwnerBlacklisted: true },
+        level: 'medium',
+        reason: 'No financial exposure ($0 AR, no future booked shifts)',
+        notes: [
+            { text: 'Note: New owner is blacklisted - relationship cannot continue' }
+        ]
+    },
+    {
+        id: 'no-exposure',
+        conditions: { hasExposure: false },
+        level: 'low',
+        reason: 'No financial exposure ($0 AR, no future booked shifts)'
+    },
+
+    // Stock sale with signed contract = new owner is committed and assumes all debt
+    {
+        id: 'stock-contract-new-owner-blacklisted',
+        conditions: { hasExposure: true, isStockSale: true, contractSigned: true, newOwnerBlacklisted: true },
+        level: 'high',
+        reason: 'Stock sale with signed contract - new owner assumes debt and is committed',
+        notes: [
+            { conditions: { hasDistress: true }, text: 'Note: Financial distress signals present, but new owner has signed contract' },
+            { text: 'Warning: New owner is blacklisted - escalate to collections team' }
+        ]
+    },
+    {
+        id: 'stock-contract',
+        conditions: { hasExposure: true, isStockSale: true, contractSigned: true },
+        level: 'low',
+        reason: 'Stock sale with signed contract - new owner assumes debt and is committed',
+        notes: [
+            { conditions: { hasDistress: true }, text: 'Note: Financial distress signals present, but new owner has signed contract' }
+        ]
+    },
+
+    // Future CHOW with contract signed = time + commitment
+    {
+        id: 'future-contract-asset-ar',
+        conditions: { hasExposure: true, timing: 'future', contractSigned: true, newOwnerBlacklisted: false, isAssetSale: true, hasAR: true },
+        level: 'medium',
+        reason: 'Future CHOW with contract already signed - time to prepare',
+        notes: [
+            { text: 'Asset sale with AR - need to confirm old owner payment plan' }
+        ]
+    },
+    {
+        id: 'future-contract',
+        conditions: { hasExposure: true, timing: 'future', contractSigned: true, newOwnerBlacklisted: false },
+        level: 'low',
+        reason: 'Future CHOW with contract already signed - time to prepare'
+    },
+
+    // ========================================
+    // HIGH RISK - Exposure + danger signals
+    // ========================================
+
+    // Blacklisted new owner with any exposure
+    {
+        id: 'new-owner-blacklisted-exposure',
+        conditions: { hasExposure: true, newOwnerBlacklisted: true },
+        level: 'high',
+        reason: 'New owner is blacklisted with financial exposure - cannot safely continue'
+    },
+
+    // Past CHOW + no contract + exposure = already happened, no commitment, money at risk
+    {
+        id: 'past-no-contract-exposure',
+        conditions: { hasExposure: true, timing: 'past', contractUnsigned: true },
+        level: 'high',
+        reason: 'Past CHOW with no contract and financial exposure',
+        notes: [
+            { conditions: { isUnknownSale: true }, text: 'Sale type unknown - cannot determine who is responsible for debt' }
+        ]
+    },
+
+    // Asset sale + financial distress + AR = old owner unlikely to pay what they owe
+    {
+        id: 'asset-distress-ar',
+        conditions: { isAssetSale: true, hasDistress: true, hasAR: true },
+        level: 'high',
+        reason: 'Asset sale with financial distress and outstanding AR - old owner unlikely to pay'
+    },
+
+    // Explicit unwillingness to pay with AR exposure
+    {
+        id: 'unwilling-to-pay-ar',
+        conditions: { unwillingToPay: true, hasAR: true },
+        level: 'high',
+        reason: 'Responsible party indicates unwillingness to pay with outstanding AR'
+    },
+
+    // Unknown sale type with exposure = don't know who's responsible
+    {
+        id: 'past-unknown-sale-exposure',
+        conditions: { hasExposure: true, timing: 'past', isUnknownSale: true },
+        level: 'high',
+        reason: 'Past CHOW with unknown sale type - unclear who is responsible for debt'
+    },
+
+    // Bad debt + stock sale = new owner inheriting problem debt
+    {
+        id: 'bad-debt-stock-no-contract',
+        conditions: { hasExposure: true, inBadDebt: true, isStockSale: true, contractSigned: false },
+        level: 'high',
+        reason: 'Account in bad debt collections with stock sale and no new contract'
+    },
+
+    // ========================================
+    // MEDIUM RISK - Exposure but manageable
+    // ========================================
+
+    // Future CHOW without contract but has exposure
+    {
+        id: 'future-no-contract-exposure',
+        conditions: { hasExposure: true, timing: 'future', contractSigned: false },
+        level: 'medium',
+        reason: 'Future CHOW without signed contract but time to act',
+        notes: [
+            { conditions: { hasDistress: true, isAssetSale: true }, text: 'Financial distress with asset sale - prioritize securing new contract' }
+        ]
+    },
+
+    // Stock sale without contract (new owner would assume debt, but no commitment yet)
+    {
+        id: 'stock-no-contract-exposure',
+        conditions: { hasExposure: true, isStockSale: true, contractSigned: false },
+        level: 'medium',
+        reason: 'Stock sale without contract - new owner would assume debt but needs to commit'
+    },
+
+    // Asset sale with contract but AR to collect from old owner.
+    // Distress could justify high, but the contract protects the new relationship.
+    {
+        id: 'asset-contract-ar',
+        conditions: { isAssetSale: true, contractSigned: true, hasAR: true },
+        level: 'medium',
+        reason: 'Asset sale with contract - need to collect from old owner',
+        notes: [
+            { conditions: { hasDistress: true }, text: 'Financial distress signals - old owner may have difficulty paying' }
+        ]
+    },
+
+    // Unknown willingness to pay with AR
+    {
+        id: 'unknown-willingness-ar',
+        conditions: { willingnessUnknown: true, hasAR: true },
+        level: 'medium',
+        reason: 'Unknown willingness to pay with outstanding AR'
+    },
+
+    // Old owner blacklisted (affects collection, not relationship)
+    {
+        id: 'old-owner-blacklisted-asset-ar',
+        conditions: { oldOwnerBlacklisted: true, hasAR: true, isAssetSale: true },
+        level: 'medium',
+        reason: 'Old owner blacklisted - may affect collection of pre-sale debt'
+    },
+
+    // Unknown contract status with exposure
+    {
+        id: 'unknown-contract-exposure',
+        conditions: { hasExposure: true, unknownContract: true },
+        level: 'medium',
+        reason: 'Contract status unknown with financial exposure'
+    },
+
+    // ========================================
+    // DEFAULT - Standard handling (no conditions, always matches)
+    // ========================================
+    {
+        id: 'default',
+        conditions: {},
+        level: 'medium',
+        reason: 'Standard CHOW scenario - follow normal process'
+    }
+];
+
+/**
+ * Dollar-based exposure model
+ *
+ * The exposure score is the AR balance weighted by age plus the estimated
+ * value of future booked shifts. The score then moves the rule-table risk
+ * level: below `minimal` it drops one level, at or above `major` it rises one.
+ * Inputs that only say yes/no (no `arBalance`) skip the score entirely.
+ */
+const EXPOSURE_CONFIG = {
+    // Older AR is less likely to be collected, so it counts for more
+    agingWeights: {
+        current: 1,
+        days31to60: 1.25,
+        days61to90: 1.5,
+        days90plus: 2
+    },
+    // Used when FBS count is known but its value isn't
+    defaultShiftValue: 300,
+    thresholds: {
+        minimal: 1000,
+        major: 100000
+    }
+};
+
+const AGING_BUCKETS = [
+    { key: 'current', label: '0-30' },
+    { key: 'days31to60', label: '31-60' },
+    { key: 'days61to90', label: '61-90' },
+    { key: 'days90plus', label: '90+' }
+];
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+// When facilities disagree on contract status, the case takes the first of these present
+const CONTRACT_ROLLUP_ORDER = ['declined', 'unknown', 'pending', 'no', 'yes'];
+
+/**
+ * When each action and task is due, in days from an anchor date.
+ *
+ * A deadline is { days, from } where `from` is 'start' (the day the case was
+ * opened, the default) or 'acquisition' (the acquisition date). Deadlines
+ * counted from the acquisition date only apply while it is still ahead -
+ * after that the fallback (action default or stage deadline) is used.
+ *
+ * - actions:        matched against the action text, first match wins
+ * - actionDefaults: days for actions with no matching pattern, by risk level
+ * - tasks:          by checklist task id
+ * - stages:         days for tasks with no entry in `tasks` (null = ongoing, no deadline)
+ */
+const DEADLINE_CONFIG = {
+    actions: [
+        { pattern: /immediately|URGENT/i, days: 0 },
+        { pattern: /^PEND account/, days: 0 },
+        { pattern: /24-48 hours/, days: 2 },
+        { pattern: /before (the )?transition/i, days: -1, from: 'acquisition' }
+    ],
+    actionDefaults: { high: 1, medium: 3, low: 7 },
+    tasks: {
+        'pend-account': { days: 0 },
+        'pend-if-no-contract': { days: 0 },
+        'ask-leadership-to-pend': { days: 0 },
+        'suspend-account': { days: 0 },
+        'archive-old-account': { days: 0 },
+        'get-new-contract-signed': { days: -1, from: 'acquisition' },
+        'transfer-invoices': { days: 0, from: 'acquisition' },
+        'transfer-shifts': { days: 0, from: 'acquisition' }
+    },
+    stages: { stage1: 0, stage2: 2, stage3: 7, stage4: null }
+};
+
+/**
+ * Teams that own checklist work (role → display name)
+ *
+ * Tasks belong to Sales when labelled 'sales' and to Billing otherwise,
+ * unless TASK_ROLES hands them to another team.
+ */
+const ROLES = {
+    billing: 'Billing',
+    sales: 'Sales',
+    leadership: 'Leadership',
+    collections: 'Collections',
+    'cash-ops': 'Cash Ops'
+};
+
+const TASK_ROLES = {
+    'ask-leadership-to-pend': 'leadership',
+    'tag-leadership-reenrollment': 'leadership',
+    'reenroll-active-accounts': 'leadership',
+    'inform-leadership-of-chow': 'leadership',
+    'tag-bad-debt-team': 'collections',
+    'await-bad-debt-approval': 'collections',
+    'notify-cash-ops': 'cash-ops'
+};
+
+/**
+ * Who gets escalated to, by escalation role - the default roster
+ *
+ * Plan text names people through these roles, so a roster edited in the app
+ * (passed as options.roster to process) changes who the plan tells you to
+ * contact. A role with no people falls back to its label.
+ *
+ * - label:       how plan text refers to the role without names, mid-sentence
+ * - description: what the role is asked to do, shown when editing the roster
+ * - people:      display names, listed "A, B, and C"
+ * - channel:     Slack channel or group the role is reached in (optional)
+ */
+const DEFAULT_ROSTER = {
+    collections: {
+        label: 'collections team',
+        description: 'Told about blacklisted new owners',
+        people: ['Erick', 'Gayah', 'Mike Amicucci'],
+        channel: '#collections-team'
+    },
+    'collections-lead': {
+        label: 'collections lead',
+        description: 'Decides whether services continue for a blacklisted new owner',
+        people: ['Mike'],
+        channel: ''
+    },
+    'bad-debt': {
+        label: 'bad debt team',
+        description: 'Tagged about stock sales of accounts in bad debt',
+        people: [],
+        channel: '#collections-team'
+    },
+    'bad-debt-approver': {
+        label: 'bad debt approver',
+        description: 'Approves re-enrolling accounts in bad debt',
+        people: ['Kelly'],
+        channel: ''
+    },
+    leadership: {
+        label: 'leadership',
+        description: 'Asked whether to pend, and tagged before re-enrolling',
+        people: ['Christopher Klimkowski', 'Sun'],
+        channel: ''
+    },
+    'cash-ops': {
+        label: 'cash ops team',
+        description: 'Notified of transferred invoices',
+        people: [],
+        channel: '@cash-ops-team'
+    },
+    escalation: {
+        label: 'your manager',
+        description: 'Escalation for unresponsive or distressed old owners',
+        people: ['Charlie'],
+        channel: ''
+    },
+    guidance: {
+        label: 'your manager',
+        description: 'Guidance when a case is unclear or unusual',
+        people: ['Louis Case', 'Charlie Eikenberg'],
+        channel: ''
+    }
+};
+
+/**
+ * Enumerated form inputs and their possible values (value → display label)
+ */
+const INPUT_OPTIONS = {
+    preliminaryOutreach: {
+        label: 'Preliminary Outreach Done',
+        values: { yes: 'Yes', no: 'No' }
+    },
+    saleType: {
+        label: 'Sale Type',
+        values: { asset: 'Asset Sale', stock: 'Stock Sale', unknown: 'Unknown' }
+    },
+    contractSigned: {
+        label: 'New Contract Signed',
+        values: { yes: 'Yes', pending: 'Pending', unknown: "I don't know", declined: 'Declined' }
+    },
+    outstandingAR: {
+        label: 'Outstanding AR',
+        values: { yes: 'Yes', no: 'No' }
+    },
+    futureBookedShifts: {
+        label: 'Future Booked Shifts',
+        values: { yes: 'Yes', no: 'No' }
+    },
+    financialDistress: {
+        label: 'Financial Distress',
+        values: { unknown: 'Unknown', yes: 'Yes', no: 'No' }
+    },
+    willingnessToPay: {
+        label: 'Willingness to Pay',
+        values: { unknown: 'Unknown', yes: 'Yes', no: 'No' }
+    },
+    blacklisted: {
+        label: 'Blacklisted',
+        values: { none: 'No', old: 'Old Owner', new: 'New Owner', both: 'Both' }
+    },
+    badDebt: {
+        label: 'Bad Debt',
+        values: { no: 'No', yes: 'Yes' }
+    }
+};
+
+/**
+ * The SOP this engine implements, packaged as a named, versioned ruleset
+ *
+ * Every plan is stamped with the name and version (result.ruleset and the
+ * foot of the Linear markdown), so a plan in Linear can be traced back to
+ * the logic that produced it. Bump the version whenever the SOP changes:
+ * risk rules, thresholds, deadlines, roles, or the wording of the actions,
+ * tasks and alerts written by the generate* functions below.
+ */
+const RULESET = {
+    name: 'CHOW SOP',
+    version: '1.0',
+    released: '2026-10-19',
+    riskRules: RISK_RULES,
+    exposure: EXPOSURE_CONFIG,
+    agingBuckets: AGING_BUCKETS,
+    contractRollup: CONTRACT_ROLLUP_ORDER,
+    deadlines: DEADLINE_CONFIG,
+    roles: ROLES,
+    taskRoles: TASK_ROLES,
+    roster: DEFAULT_ROSTER,
+    inputOptions: INPUT_OPTIONS
+};
+
 const DecisionEngine = {
     /**
-     * Determine if the CHOW is in the past or future
+     * The versioned ruleset behind every plan - see RULESET
+     */
+    ruleset: RULESET,
+
+    /**
+     * Ordered risk rule table - see RISK_RULES
+     */
+    riskRules: RISK_RULES,
+
+    /**
+     * Enumerated inputs and their values - see INPUT_OPTIONS
+     */
+    inputOptions: INPUT_OPTIONS,
+
+    /**
+     * Exposure weights and thresholds - see EXPOSURE_CONFIG
+     */
+    exposureConfig: EXPOSURE_CONFIG,
+
+    /**
+     * Action and task deadlines - see DEADLINE_CONFIG
+     */
+    deadlineConfig: DEADLINE_CONFIG,
+
+    /**
+     * Teams that own checklist work - see ROLES
      */
-    getTiming(acquisitionDate) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        // Parse YYYY-MM-DD as a local date — `new Date('2026-04-28')` would
-        // parse as UTC midnight, which shifts to the prior day in US timezones.
-        const [year, month, day] = acquisitionDate.split('-').map(Number);
-        const acqDate = new Date(year, month - 1, day);
-        return acqDate <= today ? 'past' : 'future';
+    roles: ROLES,
+
+    /**
+     * Escalation roles and who fills them by default - see DEFAULT_ROSTER
+     */
+    defaultRoster: DEFAULT_ROSTER,
+
+    /**
+     * Fill in any role a saved roster leaves out from DEFAULT_ROSTER
+     */
+    resolveRoster(roster = {}) {
+        const resolved = {};
+        Object.entries(DEFAULT_ROSTER).forEach(([role, entry]) => {
+            resolved[role] = { ...entry, ...roster[role] };
+        });
+        return resolved;
     },
 
     /**
-     * Calculate risk level based on all inputs
-     *
-     * Core principle: Risk = Financial Exposure × Likelihood of Loss
-     * - If no exposure ($0 AR, no FBS), risk is LOW regardless of other factors
-     * - Stock sale with contract = LOW (new owner committed and assumes debt)
-     * - High risk requires BOTH exposure AND danger signals
-     *
-     * Returns: { level: 'high'|'medium'|'low', reasons: string[] }
+     * The people in a role as plan text, e.g. "Erick, Gayah, and Mike Amicucci"
+     * - the role's label when nobody is in it
      */
-    calculateRisk(inputs) {
-        const reasons = [];
+    rosterNames(roster, role, conjunction = 'and') {
+        const { label, people = [] } = roster[role];
+        const names = people.map(name => name.trim()).filter(Boolean);
+        if (names.length === 0) return label;
+        if (names.length === 1) return names[0];
+        if (names.length === 2) return `${names[0]} ${conjunction} ${names[1]}`;
+        return `${names.slice(0, -1).join(', ')}, ${conjunction} ${names[names.length - 1]}`;
+    },
 
-        const timing = this.getTiming(inputs.acquisitionDate);
-        const hasAR = inputs.outstandingAR === 'yes';
-        const hasFBS = inputs.futureBookedShifts === 'yes';
-        const hasExposure = hasAR || hasFBS; // Do we have money at stake?
+    /**
+     * " in #channel" for a role reached in a channel, otherwise ''
+     */
+    rosterChannel(roster, role) {
+        return roster[role].channel ? ` in ${roster[role].channel}` : '';
+    },
 
-        const contractSigned = inputs.contractSigned === 'yes';
-        const contractDeclined = inputs.contractSigned === 'declined';
-        const noContract = inputs.contractSigned === 'no' || inputs.contractSigned === 'pending' || contractDeclined;
-        const unknownContract = inputs.contractSigned === 'unknown';
+    /**
+     * Upper-case the first letter, for roster text starting a sentence
+     */
+    capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    },
+
+    /**
+     * Determine if the CHOW is in the past or future (as of `today`)
+     */
+    getTiming(acquisitionDate, today = this.today()) {
+        return this.parseDate(acquisitionDate) <= this.startOfDay(today) ? 'past' : 'future';
+    },
 
-        const isAssetSale = inputs.saleType === 'asset';
-        const isStockSale = inputs.saleType === 'stock';
-        const isUnknownSale = inputs.saleType === 'unknown';
+    /**
+     * The current time - the only place the engine reads the real clock
+     */
+    clock() {
+        return new Date();
+    },
 
-        const hasDistress = inputs.financialDistress === 'yes';
-        const unwillingToPay = inputs.willingnessToPay === 'no';
-        const willingToPay = inputs.willingnessToPay === 'yes';
+    /**
+     * Today at local midnight, by the engine's clock
+     */
+    today() {
+        return this.startOfDay(this.clock());
+    },
 
-        const newOwnerBlacklisted = inputs.blacklisted === 'new' || inputs.blacklisted === 'both';
-        const oldOwnerBlacklisted = inputs.blacklisted === 'old' || inputs.blacklisted === 'both';
-        const inBadDebt = inputs.badDebt === 'yes';
+    /**
+     * This engine with a fixed or injected clock, for reproducible results:
+     *   DecisionEngine.withClock('2026-10-19').process(inputs)
+     *
+     * `clock` is a function returning the current Date, or the date itself
+     * (Date, timestamp or YYYY-MM-DD string). Every "today" the engine
+     * uses - timing, deadlines, overdue checks - follows it.
+     */
+    withClock(clock) {
+        const fixed = typeof clock === 'string' ? this.parseDate(clock) : new Date(clock);
+        const now = typeof clock === 'function' ? clock : () => new Date(fixed);
+        return Object.create(this, { clock: { value: now } });
+    },
 
-        // ========================================
-        // LOW RISK - Safe scenarios
-        // ========================================
+    /**
+     * Local midnight of a date, timestamp or YYYY-MM-DD string
+     */
+    startOfDay(date) {
+        const d = typeof date === 'string' ? this.parseDate(date) : new Date(date);
+        d.setHours(0, 0, 0, 0);
+        return d;
+    },
 
-        // No financial exposure = nothing to lose
-        if (!hasExposure) {
-            reasons.push('No financial exposure ($0 AR, no future booked shifts)');
-            if (newOwnerBlacklisted) {
-                reasons.push('Note: New owner is blacklisted - relationship cannot continue');
-                return { level: 'medium', reasons }; // Bump to medium due to relationship issue
-            }
-            return { level: 'low', reasons };
-        }
+    /**
+     * Parse YYYY-MM-DD as a local date — `new Date('2026-04-28')` would
+     * parse as UTC midnight, which shifts to the prior day in US timezones.
+     */
+    parseDate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
 
-        // Stock sale with signed contract = new owner is committed and assumes all debt
-        if (isStockSale && contractSigned) {
-            reasons.push('Stock sale with signed contract - new owner assumes debt and is committed');
-            if (hasDistress) {
-                reasons.push('Note: Financial distress signals present, but new owner has signed contract');
-            }
-            if (newOwnerBlacklisted) {
-                reasons.push('Warning: New owner is blacklisted - escalate to collections team');
-                return { level: 'high', reasons };
-            }
-            return { level: 'low', reasons };
-        }
+    /**
+     * Add whole days to a date
+     */
+    addDays(date, days) {
+        const d = new Date(date);
+        d.setDate(d.getDate() + days);
+        return d;
+    },
 
-        // Future CHOW with contract signed = time + commitment
-        if (timing === 'future' && contractSigned && !newOwnerBlacklisted) {
-            reasons.push('Future CHOW with contract already signed - time to prepare');
-            if (isAssetSale && hasAR) {
-                reasons.push('Asset sale with AR - need to confirm old owner payment plan');
-                return { level: 'medium', reasons };
-            }
-            return { level: 'low', reasons };
-        }
+    /**
+     * Check whether a form value holds a usable dollar amount or count
+     */
+    isAmount(value) {
+        return value !== undefined && value !== null && value !== '' && !isNaN(Number(value));
+    },
 
-        // ========================================
-        // HIGH RISK - Exposure + danger signals
-        // ========================================
+    /**
+     * Format a dollar amount for display, e.g. 12345.6 → "$12,346"
+     */
+    formatCurrency(amount) {
+        return '$' + Math.round(amount).toLocaleString('en-US');
+    },
 
-        // Blacklisted new owner with any exposure
-        if (newOwnerBlacklisted && hasExposure) {
-            reasons.push('New owner is blacklisted with financial exposure - cannot safely continue');
-            return { level: 'high', reasons };
+    /**
+     * Calculate the dollar exposure from AR balance, aging and future booked shifts
+     *
+     * Returns null for yes/no inputs without an `arBalance`. Otherwise returns
+     * { arBalance, arAging, fbsCount, fbsValue, fbsValueEstimated, score, band }
+     * where band is 'none' | 'minimal' | 'moderate' | 'major'.
+     */
+    calculateExposure(inputs) {
+        if (!this.isAmount(inputs.arBalance)) {
+            return null;
         }
 
-        // Past CHOW + no contract + exposure = already happened, no commitment, money at risk
-        if (timing === 'past' && (noContract || unknownContract) && hasExposure) {
-            reasons.push('Past CHOW with no contract and financial exposure');
-            if (isUnknownSale) {
-                reasons.push('Sale type unknown - cannot determine who is responsible for debt');
-            }
-            return { level: 'high', reasons };
+        const config = this.exposureConfig;
+        const aging = inputs.arAging || {};
+        const arAging = {};
+        AGING_BUCKETS.forEach(bucket => {
+            arAging[bucket.key] = this.isAmount(aging[bucket.key]) ? Number(aging[bucket.key]) : 0;
+        });
+        const agedTotal = Object.values(arAging).reduce((sum, amount) => sum + amount, 0);
+
+        // Aging buckets break the balance down - any balance they don't cover counts as current
+        const arBalance = Math.max(Number(inputs.arBalance), agedTotal);
+        const unaged = arBalance - agedTotal;
+
+        const fbsCount = this.isAmount(inputs.fbsCount) ? Number(inputs.fbsCount) : 0;
+        const fbsValueEstimated = !this.isAmount(inputs.fbsValue);
+        const fbsValue = fbsValueEstimated ? fbsCount * config.defaultShiftValue : Number(inputs.fbsValue);
+
+        let score = unaged * config.agingWeights.current + fbsValue;
+        AGING_BUCKETS.forEach(bucket => {
+            score += arAging[bucket.key] * config.agingWeights[bucket.key];
+        });
+        score = Math.round(score);
+
+        let band = 'moderate';
+        if (score === 0) {
+            band = 'none';
+        } else if (score < config.thresholds.minimal) {
+            band = 'minimal';
+        } else if (score >= config.thresholds.major) {
+            band = 'major';
         }
 
-        // Asset sale + financial distress + AR = old owner unlikely to pay what they owe
-        if (isAssetSale && hasDistress && hasAR) {
-            reasons.push('Asset sale with financial distress and outstanding AR - old owner unlikely to pay');
-            return { level: 'high', reasons };
+        return { arBalance, arAging, fbsCount, fbsValue, fbsValueEstimated, score, band };
+    },
+
+    /**
+     * Describe the AR balance with its non-empty aging buckets,
+     * e.g. "$12,000 (0-30: $2,000, 90+: $10,000)"
+     */
+    describeAR(exposure) {
+        const buckets = AGING_BUCKETS
+            .filter(bucket => exposure.arAging[bucket.key] > 0)
+            .map(bucket => `${bucket.label}: ${this.formatCurrency(exposure.arAging[bucket.key])}`);
+        const balance = this.formatCurrency(exposure.arBalance);
+        return buckets.length > 0 ? `${balance} (${buckets.join(', ')})` : balance;
+    },
+
+    /**
+     * Describe future booked shifts, e.g. "14 shifts (est. $4,200)"
+     */
+    describeFBS(exposure) {
+        if (exposure.fbsCount === 0 && exposure.fbsValue === 0) {
+            return 'None';
         }
+        const shifts = exposure.fbsCount === 1 ? 'shift' : 'shifts';
+        const basis = exposure.fbsValueEstimated ? ` at ${this.formatCurrency(this.exposureConfig.defaultShiftValue)}/shift` : '';
+        return `${exposure.fbsCount} ${shifts} (est. ${this.formatCurrency(exposure.fbsValue)}${basis})`;
+    },
 
-        // Explicit unwillingness to pay with AR exposure
-        if (unwillingToPay && hasAR) {
-            reasons.push('Responsible party indicates unwillingness to pay with outstanding AR');
-            return { level: 'high', reasons };
+    /**
+     * Move the rule-table risk level by the exposure band
+     *
+     * Returns null when the band leaves the level alone, otherwise
+     * { from, to, reason }.
+     */
+    adjustForExposure(level, exposure) {
+        if (!exposure) {
+            return null;
         }
 
-        // Unknown sale type with exposure = don't know who's responsible
-        if (isUnknownSale && hasExposure && timing === 'past') {
-            reasons.push('Past CHOW with unknown sale type - unclear who is responsible for debt');
-            return { level: 'high', reasons };
+        const { thresholds } = this.exposureConfig;
+        const index = RISK_LEVELS.indexOf(level);
+        const score = this.formatCurrency(exposure.score);
+
+        if (exposure.band === 'minimal' && index > 0) {
+            const to = RISK_LEVELS[index - 1];
+            return {
+                from: level,
+                to,
+                reason: `Exposure score ${score} is below the ${this.formatCurrency(thresholds.minimal)} threshold - lowered from ${level.toUpperCase()} to ${to.toUpperCase()}`
+            };
         }
 
-        // Bad debt + stock sale = new owner inheriting problem debt
-        if (inBadDebt && isStockSale && !contractSigned) {
-            reasons.push('Account in bad debt collections with stock sale and no new contract');
-            return { level: 'high', reasons };
+        if (exposure.band === 'major' && index < RISK_LEVELS.length - 1) {
+            const to = RISK_LEVELS[index + 1];
+            return {
+                from: level,
+                to,
+                reason: `Exposure score ${score} is at or above the ${this.formatCurrency(thresholds.major)} threshold - raised from ${level.toUpperCase()} to ${to.toUpperCase()}`
+            };
         }
 
-        // ========================================
-        // MEDIUM RISK - Exposure but manageable
-        // ========================================
+        return null;
+    },
 
-        // Future CHOW without contract but has exposure
-        if (timing === 'future' && !contractSigned && hasExposure) {
-            reasons.push('Future CHOW without signed contract but time to act');
-            if (hasDistress && isAssetSale) {
-                reasons.push('Financial distress with asset sale - prioritize securing new contract');
-            }
-            return { level: 'medium', reasons };
-        }
+    /**
+     * Derive the boolean facts every rule and generator works from
+     *
+     * `timing` is 'past' | 'future' and `exposureBand` is the band from
+     * calculateExposure ('unscored' for yes/no inputs); everything else is a boolean. Rule
+     * conditions in RISK_RULES refer to these keys by name.
+     */
+    deriveFacts(inputs) {
+        // Dollar amounts win over the older yes/no answers when present
+        const exposure = this.calculateExposure(inputs);
+        const hasAR = exposure ? exposure.arBalance > 0 : inputs.outstandingAR === 'yes';
+        const hasFBS = exposure ? exposure.fbsCount > 0 || exposure.fbsValue > 0 : inputs.futureBookedShifts === 'yes';
+        const contractDeclined = inputs.contractSigned === 'declined';
+        const noContract = inputs.contractSigned === 'no' || inputs.contractSigned === 'pending' || contractDeclined;
+        const unknownContract = inputs.contractSigned === 'unknown';
 
-        // Stock sale without contract (new owner would assume debt, but no commitment yet)
-        if (isStockSale && !contractSigned && hasExposure) {
-            reasons.push('Stock sale without contract - new owner would assume debt but needs to commit');
-            return { level: 'medium', reasons };
-        }
+        return {
+            timing: this.getTiming(inputs.acquisitionDate),
+            hasAR,
+            hasFBS,
+            hasExposure: hasAR || hasFBS, // Do we have money at stake?
+            exposureBand: exposure ? exposure.band : 'unscored',
+            contractSigned: inputs.contractSigned === 'yes',
+            contractDeclined,
+            noContract,
+            unknownContract,
+            contractUnsigned: noContract || unknownContract,
+            isAssetSale: inputs.saleType === 'asset',
+            isStockSale: inputs.saleType === 'stock',
+            isUnknownSale: inputs.saleType === 'unknown',
+            hasDistress: inputs.financialDistress === 'yes',
+            distressUnknown: inputs.financialDistress === 'unknown',
+            unwillingToPay: inputs.willingnessToPay === 'no',
+            willingToPay: inputs.willingnessToPay === 'yes',
+            willingnessUnknown: inputs.willingnessToPay === 'unknown',
+            newOwnerBlacklisted: inputs.blacklisted === 'new' || inputs.blacklisted === 'both',
+            oldOwnerBlacklisted: inputs.blacklisted === 'old' || inputs.blacklisted === 'both',
+            inBadDebt: inputs.badDebt === 'yes',
+            preliminaryDone: inputs.preliminaryOutreach === 'yes'
+        };
+    },
 
-        // Asset sale with contract but AR to collect from old owner
-        if (isAssetSale && contractSigned && hasAR) {
-            reasons.push('Asset sale with contract - need to collect from old owner');
-            if (hasDistress) {
-                reasons.push('Financial distress signals - old owner may have difficulty paying');
-                return { level: 'medium', reasons }; // Could be high, but contract protects new relationship
+    /**
+     * Check a rule's conditions against derived facts - every key must match
+     */
+    matchesConditions(conditions, facts) {
+        return Object.entries(conditions).every(([fact, expected]) => facts[fact] === expected);
+    },
+
+    /**
+     * Evaluate every risk rule against the inputs, not just up to the first match
+     *
+     * Returns: {
+     *   facts,
+     *   exposure,
+     *   rules: [{ id, level, reason, matched, won, failedConditions: [{ fact, expected, actual }] }],
+     *   winningRuleId,
+     *   adjustment: null | { from, to, reason } - see adjustForExposure (and rollUpRisk)
+     * }
+     */
+    traceRisk(inputs) {
+        const facts = this.deriveFacts(inputs);
+        const exposure = this.calculateExposure(inputs);
+        let winningRuleId = null;
+
+        const rules = this.riskRules.map(rule => {
+            const failedConditions = Object.entries(rule.conditions)
+                .filter(([fact, expected]) => facts[fact] !== expected)
+                .map(([fact, expected]) => ({ fact, expected, actual: facts[fact] }));
+            const matched = failedConditions.length === 0;
+            const won = matched && winningRuleId === null;
+            if (won) {
+                winningRuleId = rule.id;
             }
-            return { level: 'medium', reasons };
-        }
+            return { id: rule.id, level: rule.level, reason: rule.reason, matched, won, failedConditions };
+        });
 
-        // Unknown willingness to pay with AR
-        if (inputs.willingnessToPay === 'unknown' && hasAR) {
-            reasons.push('Unknown willingness to pay with outstanding AR');
-            return { level: 'medium', reasons };
-        }
+        const winningLevel = rules.find(rule => rule.won).level;
+        const adjustment = this.adjustForExposure(winningLevel, exposure);
 
-        // Old owner blacklisted (affects collection, not relationship)
-        if (oldOwnerBlacklisted && hasAR && isAssetSale) {
-            reasons.push('Old owner blacklisted - may affect collection of pre-sale debt');
-            return { level: 'medium', reasons };
-        }
+        return { facts, exposure, rules, winningRuleId, adjustment };
+    },
+
+    /**
+     * Calculate risk level based on all inputs
+     *
+     * Evaluates RISK_RULES in order; the first matching rule decides the level,
+     * which the dollar exposure score may then move by one (see EXPOSURE_CONFIG).
+     * Pass an existing trace from traceRisk to avoid evaluating the rules twice.
+     *
+     * Returns: {
+     *   level: 'high'|'medium'|'low',
+     *   reasons: string[],
+     *   ruleId: string,
+     *   exposure: null | { arBalance, arAging, fbsCount, fbsValue, fbsValueEstimated, score, band }
+     * }
+     */
+    calculateRisk(inputs, trace = this.traceRisk(inputs)) {
+        const rule = this.riskRules.find(r => r.id === trace.winningRuleId);
+
+        const reasons = [rule.reason];
+        (rule.notes || []).forEach(note => {
+            if (!note.conditions || this.matchesConditions(note.conditions, trace.facts)) {
+                reasons.push(note.text);
+            }
+        });
 
-        // Unknown contract status with exposure
-        if (unknownContract && hasExposure) {
-            reasons.push('Contract status unknown with financial exposure');
-            return { level: 'medium', reasons };
+        let level = rule.level;
+        if (trace.adjustment) {
+            level = trace.adjustment.to;
+            reasons.push(trace.adjustment.reason);
         }
 
-        // ========================================
-        // DEFAULT - Standard handling
-        // ========================================
-        reasons.push('Standard CHOW scenario - follow normal process');
-        return { level: 'medium', reasons };
+        return { level, reasons, ruleId: rule.id, exposure: trace.exposure };
     },
 
     /**
@@ -197,8 +832,14 @@ const DecisionEngine = {
         parts.push(inputs.saleType === 'asset' ? 'Asset Sale' :
                    inputs.saleType === 'stock' ? 'Stock Sale' : 'Unknown Sale Type');
 
-        if (inputs.outstandingAR === 'yes') parts.push('Outstanding AR');
-        if (inputs.futureBookedShifts === 'yes') parts.push('Has FBS');
+        const exposure = this.calculateExposure(inputs);
+        if (exposure) {
+            if (exposure.arBalance > 0) parts.push(`AR ${this.formatCurrency(exposure.arBalance)}`);
+            if (exposure.fbsCount > 0) parts.push(`${exposure.fbsCount} FBS`);
+        } else {
+            if (inputs.outstandingAR === 'yes') parts.push('Outstanding AR');
+            if (inputs.futureBookedShifts === 'yes') parts.push('Has FBS');
+        }
         if (inputs.contractSigned === 'yes') parts.push('Contract Signed');
         else if (inputs.contractSigned === 'pending') parts.push('Contract Pending');
         else if (inputs.contractSigned === 'declined') parts.push('Contract Declined');
@@ -210,15 +851,11 @@ const DecisionEngine = {
     /**
      * Generate key focus message based on scenario
      */
-    generateKeyFocus(inputs, riskLevel) {
-        const timing = this.getTiming(inputs.acquisitionDate);
-        const hasAR = inputs.outstandingAR === 'yes';
-        const hasFBS = inputs.futureBookedShifts === 'yes';
-        const noContract = inputs.contractSigned === 'no' || inputs.contractSigned === 'pending' || inputs.contractSigned === 'declined' || inputs.contractSigned === 'unknown';
-        const contractDeclined = inputs.contractSigned === 'declined';
-        const isAssetSale = inputs.saleType === 'asset';
-        const isStockSale = inputs.saleType === 'stock';
-        const hasDistress = inputs.financialDistress === 'yes';
+    generateKeyFocus(inputs, riskLevel, roster = DEFAULT_ROSTER) {
+        const {
+            timing, hasAR, hasFBS, contractDeclined, isAssetSale, isStockSale, hasDistress,
+            contractUnsigned: noContract // Key focus treats an unknown contract as no contract
+        } = this.deriveFacts(inputs);
 
         // Special case: No AR and no FBS
         if (!hasAR && !hasFBS) {
@@ -228,13 +865,14 @@ const DecisionEngine = {
         // High risk scenarios
         if (riskLevel === 'high') {
             if (hasDistress) {
-                return 'High-risk scenario. Old owner shows signs of financial distress and is unlikely to pay. Immediate action needed: PEND the account now, attempt contact to assess situation, and escalate to Charlie if no response.';
+                return `High-risk scenario. Old owner shows signs of financial distress and is unlikely to pay. Immediate action needed: PEND the account now, attempt contact to assess situation, and escalate to ${this.rosterNames(roster, 'escalation', 'or')} if no response.`;
             }
             if (timing === 'past' && noContract && hasAR) {
                 return 'High-risk scenario. Ownership already changed with no contract and money owed. PEND immediately. Call old and new owners to understand the situation and determine path forward. Focus on securing a new contract or shutting down services.';
             }
             if (inputs.blacklisted === 'new' || inputs.blacklisted === 'both') {
-                return 'Critical: New owner is blacklisted. Check for upcoming shifts and inform collections team (Erick, Gayah, Mike Amicucci). Mike will assess risk and determine if services can continue.';
+                const collectors = roster.collections.people.length > 0 ? ` (${roster.collections.people.join(', ')})` : '';
+                return `Critical: New owner is blacklisted. Check for upcoming shifts and inform collections team${collectors}. ${this.capitalize(this.rosterNames(roster, 'collections-lead'))} will assess risk and determine if services can continue.`;
             }
             if (hasFBS && noContract) {
                 return 'High-risk scenario. Future shifts are booked but no contract in place. PEND immediately to prevent additional exposure. Contact both parties urgently to clarify contract status.';
@@ -280,21 +918,23 @@ const DecisionEngine = {
      *
      * Returns: Array of { text: string, confidence: 'high'|'medium'|'low' }
      */
-    generatePriorityActions(inputs, riskLevel) {
+    generatePriorityActions(inputs, riskLevel, startDate = this.today(), roster = DEFAULT_ROSTER) {
+        const fallback = { days: DEADLINE_CONFIG.actionDefaults[riskLevel] };
+        return this.selectPriorityActions(inputs, riskLevel, roster).map(action => {
+            const deadline = DEADLINE_CONFIG.actions.find(rule => rule.pattern.test(action.text)) || fallback;
+            return { ...action, due: this.resolveDeadline(deadline, fallback, inputs.acquisitionDate, startDate) };
+        });
+    },
+
+    /**
+     * Pick the priority actions for a scenario (without deadlines)
+     */
+    selectPriorityActions(inputs, riskLevel, roster = DEFAULT_ROSTER) {
         const actions = [];
-        const timing = this.getTiming(inputs.acquisitionDate);
-        const hasAR = inputs.outstandingAR === 'yes';
-        const hasFBS = inputs.futureBookedShifts === 'yes';
-        const hasExposure = hasAR || hasFBS;
-        const contractSigned = inputs.contractSigned === 'yes';
-        const contractDeclined = inputs.contractSigned === 'declined';
-        const noContract = inputs.contractSigned === 'no' || inputs.contractSigned === 'pending' || contractDeclined;
-        const unknownContract = inputs.contractSigned === 'unknown';
-        const isAssetSale = inputs.saleType === 'asset';
-        const isStockSale = inputs.saleType === 'stock';
-        const isUnknownSale = inputs.saleType === 'unknown';
-        const hasDistress = inputs.financialDistress === 'yes';
-        const newOwnerBlacklisted = inputs.blacklisted === 'new' || inputs.blacklisted === 'both';
+        const {
+            timing, hasAR, hasFBS, hasExposure, contractSigned, contractDeclined, noContract, unknownContract,
+            isAssetSale, isStockSale, isUnknownSale, hasDistress, newOwnerBlacklisted
+        } = this.deriveFacts(inputs);
 
         // ===========================================
         // NO EXPOSURE - Simple path
@@ -331,11 +971,11 @@ const DecisionEngine = {
                 confidence: 'high'
             });
             actions.push({
-                text: 'Inform Erick, Gayah, and Mike Amicucci in #collections-team immediately',
+                text: `Inform ${this.rosterNames(roster, 'collections')}${this.rosterChannel(roster, 'collections')} immediately`,
                 confidence: 'high'
             });
             actions.push({
-                text: 'Wait for Mike to assess risk and determine if services can continue',
+                text: `Wait for ${this.rosterNames(roster, 'collections-lead', 'or')} to assess risk and determine if services can continue`,
                 confidence: 'high'
             });
             return actions;
@@ -385,7 +1025,7 @@ const DecisionEngine = {
                     });
                 }
                 actions.push({
-                    text: 'Consider escalating to Charlie if old owner is completely unresponsive',
+                    text: `Consider escalating to ${this.rosterNames(roster, 'escalation', 'or')} if old owner is completely unresponsive`,
                     confidence: 'medium'
                 });
                 return actions;
@@ -590,21 +1230,16 @@ const DecisionEngine = {
 
     /**
      * Generate staged checklist
+     *
+     * Each task: { id, text, completed, label?, note? }. The id is stable for
+     * the same task across regenerations, so saved progress can be re-applied.
      */
-    generateChecklist(inputs, riskLevel) {
-        const timing = this.getTiming(inputs.acquisitionDate);
-        const hasAR = inputs.outstandingAR === 'yes';
-        const hasFBS = inputs.futureBookedShifts === 'yes';
-        const contractDeclined = inputs.contractSigned === 'declined';
-        const noContract = inputs.contractSigned === 'no' || inputs.contractSigned === 'pending' || contractDeclined;
-        const unknownContract = inputs.contractSigned === 'unknown';
-        const contractSigned = inputs.contractSigned === 'yes';
-        const isAssetSale = inputs.saleType === 'asset';
-        const isStockSale = inputs.saleType === 'stock';
-        const isUnknownSale = inputs.saleType === 'unknown';
-        const hasDistress = inputs.financialDistress === 'yes';
-        const inBadDebt = inputs.badDebt === 'yes';
-        const preliminaryDone = inputs.preliminaryOutreach === 'yes';
+    generateChecklist(inputs, riskLevel, startDate = this.today(), roster = DEFAULT_ROSTER) {
+        const {
+            timing, hasAR, hasFBS, contractSigned, contractDeclined, noContract, unknownContract,
+            isAssetSale, isStockSale, isUnknownSale, hasDistress, distressUnknown, inBadDebt, preliminaryDone
+        } = this.deriveFacts(inputs);
+        const exposure = this.calculateExposure(inputs);
 
         const checklist = {
             stage1: [],
@@ -621,6 +1256,7 @@ const DecisionEngine = {
         // Skip when contract is declined - status is already known
         if (!preliminaryDone && !contractDeclined) {
             checklist.stage1.push({
+                id: 'confirm-contract-with-sales',
                 text: 'Reach out to Sales or AM/AE and confirm if the Contract has been signed',
                 completed: false,
                 label: 'sales'
@@ -629,30 +1265,35 @@ const DecisionEngine = {
 
         // Items already answered via form - mark as completed
         checklist.stage1.push({
+            id: 'confirm-ar',
             text: 'Confirm outstanding AR status',
             completed: true,
-            note: hasAR ? 'Yes - has outstanding AR' : 'No outstanding AR'
+            note: !hasAR ? 'No outstanding AR' : exposure ? `Yes - ${this.describeAR(exposure)}` : 'Yes - has outstanding AR'
         });
 
         checklist.stage1.push({
+            id: 'confirm-fbs',
             text: 'Confirm future booked shifts (FBS)',
             completed: true,
-            note: hasFBS ? 'Yes - has FBS' : 'No FBS'
+            note: !hasFBS ? 'No FBS' : exposure ? `Yes - ${this.describeFBS(exposure)}` : 'Yes - has FBS'
         });
 
         checklist.stage1.push({
+            id: 'confirm-timing',
             text: 'Confirm acquisition date and timing',
             completed: true,
             note: timing === 'past' ? 'PAST' : 'FUTURE'
         });
 
         checklist.stage1.push({
+            id: 'determine-sale-type',
             text: 'Determine sale type',
             completed: true,
             note: inputs.saleType.toUpperCase()
         });
 
         checklist.stage1.push({
+            id: 'mark-chow-in-salesforce',
             text: 'Mark facility as CHOW and add CHOW date in Salesforce',
             completed: false,
             label: 'action'
@@ -661,11 +1302,13 @@ const DecisionEngine = {
         // Items to still do
         if (!inBadDebt) {
             checklist.stage1.push({
+                id: 'check-bad-debt',
                 text: 'Check if account is in bad debt collections',
                 completed: inputs.badDebt === 'no'
             });
         } else {
             checklist.stage1.push({
+                id: 'check-bad-debt',
                 text: 'Check if account is in bad debt collections',
                 completed: true,
                 note: 'YES - in bad debt'
@@ -677,6 +1320,7 @@ const DecisionEngine = {
         // Condition ii: Sale type is stock but no new contract has been signed
         if ((timing === 'past' && isAssetSale) || (isStockSale && (noContract || unknownContract))) {
             checklist.stage1.push({
+                id: 'pend-account',
                 text: 'PEND account immediately',
                 completed: false,
                 label: 'action',
@@ -687,6 +1331,7 @@ const DecisionEngine = {
         // Pend account if no new contract was signed - only if preliminary outreach not done AND contract unknown
         if (!preliminaryDone && unknownContract) {
             checklist.stage1.push({
+                id: 'pend-if-no-contract',
                 text: 'PEND account if no new contract was signed (confirm with Sales)',
                 completed: false,
                 label: 'action'
@@ -696,7 +1341,8 @@ const DecisionEngine = {
         // Tag leadership for pend decision - only if future + asset + contract signed
         if (timing === 'future' && isAssetSale && contractSigned) {
             checklist.stage1.push({
-                text: 'Tag Christopher Klimkowski and Sun and ask if the account should be pended',
+                id: 'ask-leadership-to-pend',
+                text: `Tag ${this.rosterNames(roster, 'leadership')} and ask if the account should be pended`,
                 completed: false,
                 label: 'escalate'
             });
@@ -705,6 +1351,7 @@ const DecisionEngine = {
         // Suspend account - only if future + asset + no contract
         if (timing === 'future' && isAssetSale && (noContract || unknownContract)) {
             checklist.stage1.push({
+                id: 'suspend-account',
                 text: 'SUSPEND account (future CHOW with asset sale and no contract)',
                 completed: false,
                 label: 'action'
@@ -717,6 +1364,7 @@ const DecisionEngine = {
 
         if (isAssetSale || isUnknownSale) {
             checklist.stage2.push({
+                id: 'confirm-old-owner-responsibility',
                 text: 'Confirm financial responsibility with old owner for pre-sale invoices',
                 completed: false,
                 label: 'billing'
@@ -725,6 +1373,7 @@ const DecisionEngine = {
 
         if (isStockSale) {
             checklist.stage2.push({
+                id: 'confirm-new-owner-assumes-debt',
                 text: 'Confirm new owner understands they assume all outstanding debt',
                 completed: false,
                 label: 'billing'
@@ -732,13 +1381,15 @@ const DecisionEngine = {
         }
 
         checklist.stage2.push({
+            id: 'confirm-next-payment',
             text: 'Confirm all payers know when we expect next payment',
             completed: false,
             label: 'billing'
         });
 
-        if (hasDistress || inputs.financialDistress === 'unknown') {
+        if (hasDistress || distressUnknown) {
             checklist.stage2.push({
+                id: 'investigate-distress',
                 text: 'Investigate signs of financial distress from responsible owner',
                 completed: hasDistress,
                 note: hasDistress ? 'Already indicated: YES' : null,
@@ -748,6 +1399,7 @@ const DecisionEngine = {
 
         if (noContract && !contractDeclined) {
             checklist.stage2.push({
+                id: 'get-new-contract-signed',
                 text: 'Sales: Get new contract(s) signed with new ownership',
                 completed: false,
                 label: 'sales'
@@ -758,6 +1410,7 @@ const DecisionEngine = {
         // Skip when contract is declined - status is already known
         if ((unknownContract || !preliminaryDone) && !contractDeclined) {
             checklist.stage2.push({
+                id: 'confirm-contracts-signed',
                 text: 'Confirm contracts were signed by Sales',
                 completed: contractSigned,
                 label: 'sales'
@@ -765,6 +1418,7 @@ const DecisionEngine = {
         }
 
         checklist.stage2.push({
+            id: 'request-ownership-proof',
             text: 'Request proof of ownership change documentation',
             completed: false,
             label: 'billing'
@@ -775,6 +1429,7 @@ const DecisionEngine = {
         // ===================
 
         checklist.stage3.push({
+            id: 'tag-leadership-reenrollment',
             text: 'Once financial responsibility confirmed, tag leadership for re-enrollment decision',
             completed: false,
             label: 'escalate'
@@ -782,12 +1437,14 @@ const DecisionEngine = {
 
         if (isAssetSale) {
             checklist.stage3.push({
+                id: 'create-new-parent-account',
                 text: 'Sales: Create new parent account for acquiring entity across all platforms (Salesforce, CBH App, Invoiced.com)',
                 completed: false,
                 label: 'sales'
             });
 
             checklist.stage3.push({
+                id: 'inactivate-old-parent-account',
                 text: 'Sales: Mark old parent account as inactive (unless other active facilities remain)',
                 completed: false,
                 label: 'sales'
@@ -796,12 +1453,14 @@ const DecisionEngine = {
 
         if (isStockSale) {
             checklist.stage3.push({
+                id: 'update-parent-account',
                 text: 'Sales: Update existing parent account info across all platforms (Salesforce, CBH App, Invoiced.com)',
                 completed: false,
                 label: 'sales'
             });
 
             checklist.stage3.push({
+                id: 'update-child-facility-links',
                 text: 'Sales: Verify and update all child facility links',
                 completed: false,
                 label: 'sales'
@@ -810,12 +1469,14 @@ const DecisionEngine = {
 
         // All lists get these items per SOP
         checklist.stage3.push({
+            id: 'adjust-charge-rates',
             text: 'Sales: Adjust charge rates as necessary',
             completed: false,
             label: 'sales'
         });
 
         checklist.stage3.push({
+            id: 'file-new-account-documentation',
             text: 'Sales: Ensure that all necessary documentation for opening the new account is complete and properly filed',
             completed: false,
             label: 'sales'
@@ -823,6 +1484,7 @@ const DecisionEngine = {
 
         // Transfer invoices - all lists per SOP
         checklist.stage3.push({
+            id: 'transfer-invoices',
             text: 'Transfer any invoices needed from the old account to the new',
             completed: false,
             label: 'billing'
@@ -830,6 +1492,7 @@ const DecisionEngine = {
 
         // Transfer shifts - all lists per SOP (separate item)
         checklist.stage3.push({
+            id: 'transfer-shifts',
             text: 'Transfer any shifts from the old account to the new',
             completed: false,
             label: 'billing'
@@ -837,7 +1500,8 @@ const DecisionEngine = {
 
         if (hasAR && isAssetSale) {
             checklist.stage3.push({
-                text: 'Notify @cash-ops-team of transferred invoices (include list, partial payments, credit notes)',
+                id: 'notify-cash-ops',
+                text: `Notify ${roster['cash-ops'].channel || this.rosterNames(roster, 'cash-ops')} of transferred invoices (include list, partial payments, credit notes)`,
                 completed: false,
                 label: 'billing'
             });
@@ -846,13 +1510,15 @@ const DecisionEngine = {
         // Bad debt specific
         if (inBadDebt && isStockSale) {
             checklist.stage3.push({
-                text: 'Tag bad debt team in #collections-team about acquisition (stock sale = new owner takes debt)',
+                id: 'tag-bad-debt-team',
+                text: `Tag ${this.rosterNames(roster, 'bad-debt')}${this.rosterChannel(roster, 'bad-debt')} about acquisition (stock sale = new owner takes debt)`,
                 completed: false,
                 label: 'escalate'
             });
 
             checklist.stage3.push({
-                text: 'Wait for Kelly approval before re-enrolling',
+                id: 'await-bad-debt-approval',
+                text: `Wait for ${this.rosterNames(roster, 'bad-debt-approver', 'or')} approval before re-enrolling`,
                 completed: false,
                 label: 'escalate'
             });
@@ -860,7 +1526,8 @@ const DecisionEngine = {
 
         // Final escalation for re-enrollment - all lists per SOP
         checklist.stage3.push({
-            text: 'Once stages 1-3 completed, tag Christopher Klimkowski and Sun and re-enroll active accounts if financial responsibility is assumed',
+            id: 'reenroll-active-accounts',
+            text: `Once stages 1-3 completed, tag ${this.rosterNames(roster, 'leadership')} and re-enroll active accounts if financial responsibility is assumed`,
             completed: false,
             label: 'escalate'
         });
@@ -871,6 +1538,7 @@ const DecisionEngine = {
 
         // Per SOP: all lists get "Continue chasing old/new entities for payments"
         checklist.stage4.push({
+            id: 'chase-payments',
             text: 'Continue chasing old/new entities for payments',
             completed: false,
             label: 'billing'
@@ -878,6 +1546,7 @@ const DecisionEngine = {
 
         if (hasAR) {
             checklist.stage4.push({
+                id: 'monitor-payment-commitments',
                 text: 'Monitor for payment commitments and follow up on pre-CHOW invoices',
                 completed: false,
                 label: 'billing'
@@ -885,6 +1554,7 @@ const DecisionEngine = {
 
             if (isAssetSale) {
                 checklist.stage4.push({
+                    id: 'archive-old-account-when-paid',
                     text: 'Archive old account once all invoices paid',
                     completed: false,
                     label: 'billing'
@@ -897,49 +1567,669 @@ const DecisionEngine = {
         if (!hasAR && !hasFBS) {
             // Clear all stages and show exception message
             checklist.stage1 = [{
+                id: 'no-exposure-exception',
                 text: 'EXCEPTION CASE: No Future Booked Shifts AND No Outstanding AR',
                 completed: true,
                 note: 'Follow simplified process below',
                 label: 'action'
             }];
             checklist.stage2 = [{
-                text: 'Ping Christopher Klimkowski and Sun and inform them of the ownership change',
+                id: 'inform-leadership-of-chow',
+                text: `Ping ${this.rosterNames(roster, 'leadership')} and inform them of the ownership change`,
                 completed: false,
                 label: 'escalate'
             }];
             checklist.stage3 = [{
+                id: 'archive-old-account',
                 text: 'Archive the old account immediately',
                 completed: false,
                 label: 'billing'
             }, {
+                id: 'onboard-new-account',
                 text: 'Inform Sales that they need to onboard the new account',
                 completed: false,
                 label: 'sales'
             }];
             checklist.stage4 = [{
+                id: 'no-ongoing-collection',
                 text: 'No ongoing collection needed - treat new owner like a new customer rather than an ownership change',
                 completed: true,
                 label: 'billing'
             }];
         }
 
-        return checklist;
+        for (const tasks of Object.values(checklist)) {
+            tasks.forEach(task => {
+                task.role = TASK_ROLES[task.id] || (task.label === 'sales' ? 'sales' : 'billing');
+            });
+        }
+
+        return this.scheduleChecklist(checklist, inputs.acquisitionDate, startDate);
     },
 
+    // ========================================
+    // Deadlines
+    // ========================================
+
     /**
-     * Generate special alerts
+     * Turn a deadline from DEADLINE_CONFIG into a due date
+     *
+     * Returns: { date: 'YYYY-MM-DD', days, from } or null for ongoing work
      */
-    generateAlerts(inputs) {
-        const alerts = [];
+    resolveDeadline(deadline, fallback, acquisitionDate, startDate) {
+        const start = this.startOfDay(startDate);
 
-        if (inputs.blacklisted === 'new' || inputs.blacklisted === 'both') {
-            alerts.push({
-                type: 'critical',
-                text: 'NEW OWNER IS BLACKLISTED: Must inform Erick, Gayah, and Mike Amicucci in #collections-team before proceeding. Mike will determine if services can continue.'
-            });
+        if (deadline.from === 'acquisition' && acquisitionDate) {
+            const date = this.addDays(this.parseDate(acquisitionDate), deadline.days);
+            if (date >= start) {
+                return { date: this.formatDate(date), days: deadline.days, from: 'acquisition' };
+            }
+            deadline = fallback;
         }
 
-        if (inputs.blacklisted === 'old') {
+        if (deadline.days === null || deadline.days === undefined) {
+            return null;
+        }
+        return { date: this.formatDate(this.addDays(start, deadline.days)), days: deadline.days, from: 'start' };
+    },
+
+    /**
+     * Give every checklist task its due date - see DEADLINE_CONFIG
+     */
+    scheduleChecklist(checklist, acquisitionDate, startDate) {
+        const scheduled = {};
+        for (const [stage, tasks] of Object.entries(checklist)) {
+            const fallback = { days: DEADLINE_CONFIG.stages[stage] };
+            scheduled[stage] = tasks.map(task => ({
+                ...task,
+                due: this.resolveDeadline(DEADLINE_CONFIG.tasks[task.id] || fallback, fallback, acquisitionDate, startDate)
+            }));
+        }
+        return scheduled;
+    },
+
+    /**
+     * Check whether an item can be ticked off
+     *
+     * Checklist tasks can. Priority actions have no completed state, so their
+     * due dates are targets - once passed, they never count as overdue.
+     */
+    isTracked(item) {
+        return typeof item.completed === 'boolean';
+    },
+
+    /**
+     * Check whether an open task is past its due date
+     */
+    isOverdue(item, today = this.today()) {
+        return Boolean(item.due && this.isTracked(item) && !item.completed && item.due.date < this.formatDate(today));
+    },
+
+    /**
+     * Earliest due date among open tasks and actions, or null if nothing is dated
+     * (action targets already passed are skipped)
+     */
+    earliestDeadline(items, today = this.today()) {
+        const todayText = this.formatDate(today);
+        const dates = items
+            .filter(item => item.due && !item.completed && (this.isTracked(item) || item.due.date >= todayText))
+            .map(item => item.due.date)
+            .sort();
+        return dates[0] || null;
+    },
+
+    /**
+     * Describe a due date relative to today, e.g. "Due today", "Overdue by 2 days"
+     * tracked: false for a priority action's target, e.g. "Target passed 2 days ago"
+     */
+    describeDue(due, today = this.today(), tracked = true) {
+        if (!due) return 'Ongoing';
+
+        const days = Math.round((this.parseDate(due.date) - this.startOfDay(today)) / 86400000);
+        const plural = n => `${n} day${n === 1 ? '' : 's'}`;
+        if (days < 0) return tracked ? `Overdue by ${plural(-days)}` : `Target passed ${plural(-days)} ago`;
+        if (days === 0) return 'Due today';
+        if (days === 1) return 'Due tomorrow';
+        return `Due in ${plural(days)}`;
+    },
+
+    /**
+     * Lay out open actions and tasks by due date
+     *
+     * Overdue tasks come first, then one entry per date, then ongoing work.
+     * Completed tasks are left out. Actions stay under their date even once
+     * it has passed - see isTracked.
+     *
+     * Returns: Array of { date, overdue, items: [{ kind: 'action' | 'task', id, text, stage, due, completed? }] }
+     * where date is null for the ongoing group, and only tasks carry completed.
+     */
+    generateTimeline(priorityActions, checklist, today = this.today()) {
+        const items = [
+            ...priorityActions.map(action => ({ kind: 'action', id: null, text: action.text, stage: null, due: action.due })),
+            ...Object.entries(checklist).flatMap(([stage, tasks]) => tasks
+                .filter(task => !task.completed)
+                .map(task => ({ kind: 'task', id: task.id, text: task.text, stage, due: task.due, completed: false })))
+        ];
+
+        const overdue = items.filter(item => this.isOverdue(item, today));
+        const groups = new Map();
+        items.filter(item => item.due && !overdue.includes(item))
+            .sort((a, b) => a.due.date.localeCompare(b.due.date))
+            .forEach(item => {
+                if (!groups.has(item.due.date)) groups.set(item.due.date, []);
+                groups.get(item.due.date).push(item);
+            });
+
+        const timeline = [];
+        if (overdue.length > 0) {
+            overdue.sort((a, b) => a.due.date.localeCompare(b.due.date));
+            timeline.push({ date: null, overdue: true, items: overdue });
+        }
+        groups.forEach((groupItems, date) => timeline.push({ date, overdue: false, items: groupItems }));
+
+        const ongoing = items.filter(item => !item.due);
+        if (ongoing.length > 0) {
+            timeline.push({ date: null, overdue: false, items: ongoing });
+        }
+        return timeline;
+    },
+
+    // ========================================
+    // Per-facility modelling
+    // ========================================
+
+    /**
+     * Check whether the inputs carry a structured facility table
+     */
+    hasFacilities(inputs) {
+        return Array.isArray(inputs.facilities) && inputs.facilities.length > 0;
+    },
+
+    /**
+     * List the affected facilities
+     *
+     * Uses the structured `facilities` table when present, otherwise splits the
+     * older `affectedFacilities` / `newFacilityNames` text (one per line).
+     *
+     * Returns: Array of { name, facilityId, newName, arBalance, fbsCount, contractSigned, newOwnerName }
+     * where arBalance/fbsCount are numbers for structured facilities and null
+     * for text ones, and empty contractSigned/newOwnerName mean "same as the case".
+     */
+    getFacilities(inputs) {
+        if (this.hasFacilities(inputs)) {
+            return inputs.facilities.map(facility => ({
+                name: (facility.name || '').trim(),
+                facilityId: (facility.facilityId || '').trim(),
+                newName: (facility.newName || '').trim(),
+                arBalance: this.isAmount(facility.arBalance) ? Number(facility.arBalance) : 0,
+                fbsCount: this.isAmount(facility.fbsCount) ? Number(facility.fbsCount) : 0,
+                contractSigned: facility.contractSigned || '',
+                newOwnerName: (facility.newOwnerName || '').trim()
+            }));
+        }
+
+        const names = (inputs.affectedFacilities || '').split('\n').map(f => f.trim()).filter(Boolean);
+        const newNames = (inputs.newFacilityNames || '').split('\n').map(f => f.trim());
+        return names.map((name, i) => ({
+            name,
+            facilityId: '',
+            newName: newNames[i] || '',
+            arBalance: null,
+            fbsCount: null,
+            contractSigned: '',
+            newOwnerName: ''
+        }));
+    },
+
+    /**
+     * Pick the case-level contract status from each facility's status
+     */
+    rollUpContract(statuses) {
+        return CONTRACT_ROLLUP_ORDER.find(status => statuses.includes(status)) || statuses[0] || '';
+    },
+
+    /**
+     * Collapse a facility table into case-level inputs
+     *
+     * AR and FBS are summed across facilities and the contract status rolls up
+     * per CONTRACT_ROLLUP_ORDER. Inputs without a facility table come back as-is.
+     */
+    aggregateInputs(inputs) {
+        if (!this.hasFacilities(inputs)) {
+            return inputs;
+        }
+
+        const { facilities: _table, ...caseInputs } = inputs;
+        const facilities = this.getFacilities(inputs);
+
+        return {
+            ...caseInputs,
+            affectedFacilities: facilities.map(f => f.name).join('\n'),
+            newFacilityNames: facilities.some(f => f.newName) ? facilities.map(f => f.newName).join('\n') : '',
+            arBalance: facilities.reduce((sum, f) => sum + f.arBalance, 0),
+            fbsCount: facilities.reduce((sum, f) => sum + f.fbsCount, 0),
+            contractSigned: this.rollUpContract(facilities.map(f => f.contractSigned || inputs.contractSigned))
+        };
+    },
+
+    /**
+     * Build the inputs for assessing one facility on its own
+     *
+     * Case-level AR aging and FBS value are split in proportion to the
+     * facility's share of the AR balance and shift count.
+     */
+    facilityInputs(caseInputs, facility) {
+        const arShare = caseInputs.arBalance > 0 ? facility.arBalance / caseInputs.arBalance : 0;
+        const fbsShare = caseInputs.fbsCount > 0 ? facility.fbsCount / caseInputs.fbsCount : 0;
+
+        const caseAging = caseInputs.arAging || {};
+        const arAging = {};
+        AGING_BUCKETS.forEach(bucket => {
+            arAging[bucket.key] = this.isAmount(caseAging[bucket.key]) ? Number(caseAging[bucket.key]) * arShare : 0;
+        });
+
+        return {
+            ...caseInputs,
+            affectedFacilities: facility.name,
+            newFacilityNames: facility.newName,
+            newOwnerName: facility.newOwnerName || caseInputs.newOwnerName,
+            contractSigned: facility.contractSigned || caseInputs.contractSigned,
+            arBalance: facility.arBalance,
+            arAging,
+            fbsCount: facility.fbsCount,
+            fbsValue: this.isAmount(caseInputs.fbsValue) ? Number(caseInputs.fbsValue) * fbsShare : ''
+        };
+    },
+
+    /**
+     * Assess every facility in the table on its own
+     *
+     * Returns: Array of facility (see getFacilities) plus { inputs, risk }
+     */
+    assessFacilities(inputs) {
+        const caseInputs = this.aggregateInputs(inputs);
+        return this.getFacilities(inputs).map(facility => {
+            const facilityInputs = this.facilityInputs(caseInputs, facility);
+            return { ...facility, inputs: facilityInputs, risk: this.calculateRisk(facilityInputs) };
+        });
+    },
+
+    /**
+     * Raise the case-level risk to the riskiest facility
+     *
+     * The trace (see traceRisk) is for the case-level rules, so a raise is
+     * recorded as its adjustment - after any exposure adjustment - for the
+     * "Why?" panel to explain the level the case ends up at.
+     *
+     * Returns: { risk, trace }
+     */
+    rollUpRisk(caseRisk, assessments, trace) {
+        const riskiest = assessments.reduce((top, assessment) =>
+            RISK_LEVELS.indexOf(assessment.risk.level) > RISK_LEVELS.indexOf(top.risk.level) ? assessment : top
+        );
+
+        if (RISK_LEVELS.indexOf(riskiest.risk.level) <= RISK_LEVELS.indexOf(caseRisk.level)) {
+            return { risk: caseRisk, trace };
+        }
+
+        const reason = `Facility ${riskiest.name} is ${riskiest.risk.level.toUpperCase()} risk (rule \`${riskiest.risk.ruleId}\`) - case raised from ${caseRisk.level.toUpperCase()}`;
+        const adjustment = {
+            from: trace.adjustment ? trace.adjustment.from : caseRisk.level,
+            to: riskiest.risk.level,
+            reason: trace.adjustment ? `${trace.adjustment.reason}. ${reason}` : reason
+        };
+        return {
+            risk: { ...caseRisk, level: riskiest.risk.level, reasons: [...caseRisk.reasons, reason] },
+            trace: { ...trace, adjustment }
+        };
+    },
+
+    /**
+     * Merge per-facility checklists into one, keeping each stage's task order
+     *
+     * A task generated for only some facilities gets `facilities: [names]`.
+     * Its notes are prefixed by facility when they differ, and it only starts
+     * out completed when it is completed for every facility.
+     */
+    mergeFacilityChecklists(entries) {
+        const merged = {};
+        const allNames = entries.map(entry => entry.name);
+
+        for (const stage of ['stage1', 'stage2', 'stage3', 'stage4']) {
+            const tasks = [];
+            entries.forEach(({ name, checklist }) => {
+                let insertAt = 0;
+                checklist[stage].forEach(task => {
+                    const index = tasks.findIndex(t => t.id === task.id);
+                    if (index >= 0) {
+                        tasks[index].facilities.push(name);
+                        tasks[index].notes.push({ name, note: task.note });
+                        tasks[index].completed = tasks[index].completed && task.completed;
+                        insertAt = index + 1;
+                    } else {
+                        tasks.splice(insertAt, 0, { ...task, facilities: [name], notes: [{ name, note: task.note }] });
+                        insertAt++;
+                    }
+                });
+            });
+
+            merged[stage] = tasks.map(({ notes, facilities, ...task }) => {
+                const distinctNotes = [...new Set(notes.map(n => n.note || ''))];
+                if (distinctNotes.length > 1) {
+                    task.note = notes.filter(n => n.note).map(n => `${n.name}: ${n.note}`).join('; ');
+                }
+                if (facilities.length < allNames.length) {
+                    task.facilities = facilities;
+                }
+                return task;
+            });
+        }
+
+        return merged;
+    },
+
+    /**
+     * Apply saved checklist progress over a freshly generated checklist
+     *
+     * progress: { [taskId]: { completed: boolean, by: string, at: number } }
+     * Tasks without an entry keep the completion the engine derived from the
+     * inputs. Entries for tasks no longer in the plan are ignored.
+     */
+    applyProgress(checklist, progress = {}) {
+        const result = {};
+        for (const [stage, tasks] of Object.entries(checklist)) {
+            result[stage] = tasks.map(task => {
+                const entry = progress[task.id];
+                if (!entry) return task;
+                return { ...task, completed: entry.completed, completedBy: entry.by, completedAt: entry.at };
+            });
+        }
+        return result;
+    },
+
+    /**
+     * Read checkbox lines back out of issue markdown (see formatTaskLine)
+     *
+     * Returns: { [taskId]: boolean } for the checklist's tasks found in the
+     * markdown. Lines are matched on the task text, ignoring the note,
+     * facilities, due date and done-by suffixes. When a task appears more
+     * than once, the last line wins.
+     */
+    parseLinearChecklist(markdown, checklist) {
+        const tasks = Object.values(checklist).flat();
+        const states = {};
+
+        markdown.split('\n').forEach(line => {
+            const match = line.match(/^\s*[-*] \[( |x|X)\] (.*)$/);
+            if (!match) return;
+
+            const content = match[2];
+            const task = tasks.find(t => content === t.text ||
+                content.startsWith(t.text + ' *(') || content.startsWith(t.text + ' — '));
+            if (task) {
+                states[task.id] = match[1] !== ' ';
+            }
+        });
+
+        return states;
+    },
+
+    /**
+     * Read a case's inputs back out of the `## CHOW Details` block written by
+     * formatForLinear
+     *
+     * The block records the owners, facilities, acquisition date, sale type,
+     * contract status, AR and FBS amounts and contact. The other enumerated
+     * inputs (outreach, distress, willingness to pay, blacklist, bad debt)
+     * are not written to Linear and always come back missing.
+     *
+     * Returns null without a details block, otherwise { inputs, missing }
+     * where missing is [{ field, label }] for inputs that could not be
+     * recovered, or were edited into something unreadable (e.g. "**Outstanding
+     * AR:** unknown"). Blocks from before the facility table give the older
+     * affectedFacilities / arBalance / fbsCount inputs and no contract status.
+     */
+    parseLinearDetails(markdown) {
+        const start = markdown.indexOf('## CHOW Details');
+        if (start === -1) return null;
+
+        // "**Label:** value" lines, with any lines below them until the next label
+        const fields = {};
+        let current = null;
+        markdown.slice(start).split('\n---\n')[0].split('\n').slice(1).forEach(line => {
+            const match = line.match(/^\*\*(.+?):\*\*\s*(.*)$/);
+            if (match) {
+                current = fields[match[1]] = { value: match[2].trim(), lines: [] };
+            } else if (current && line.trim()) {
+                current.lines.push(line.trim());
+            }
+        });
+
+        // '' for anything that isn't a dollar figure, e.g. an AR line edited in Linear
+        const amount = text => {
+            const value = Number(String(text || '').replace(/[$,]/g, ''));
+            return text && Number.isFinite(value) ? String(value) : '';
+        };
+        const unreadable = []; // Fields present but not in a form we can read - { field, label }
+        const option = (field, text) => {
+            const value = (text || '').toLowerCase();
+            return INPUT_OPTIONS[field].values[value] ? value : '';
+        };
+        const listItems = field => (fields[field] ? fields[field].lines : [])
+            .filter(line => line.startsWith('- '))
+            .map(line => line.slice(2).trim());
+
+        const inputs = {};
+        if (fields['Old Owner']) inputs.oldOwnerName = fields['Old Owner'].value;
+        if (fields['New Owner']) inputs.newOwnerName = fields['New Owner'].value;
+
+        const contract = fields['Contract Signed'] ? option('contractSigned', fields['Contract Signed'].value) : '';
+        if (contract) inputs.contractSigned = contract;
+
+        const facilityLines = fields['Affected Facilities'] ? fields['Affected Facilities'].lines : [];
+        if (facilityLines[0] && facilityLines[0].startsWith('|')) {
+            // | Facility | ID | New Name | AR | FBS | Contract | New Owner | Risk |
+            inputs.facilities = facilityLines.slice(2).map(row => {
+                const [name, facilityId, newName, arBalance, fbsCount, facilityContract, newOwnerName] =
+                    this.splitTableRow(row);
+                const blank = cell => cell === '-' ? '' : cell;
+                const rowContract = option('contractSigned', facilityContract);
+                if (!amount(arBalance)) {
+                    unreadable.push({ field: 'facilities', label: `AR for ${name} (could not read "${arBalance || ''}")` });
+                }
+                if (!amount(fbsCount)) {
+                    unreadable.push({ field: 'facilities', label: `Future booked shifts for ${name} (could not read "${fbsCount || ''}")` });
+                }
+                return {
+                    name,
+                    facilityId: blank(facilityId),
+                    newName: blank(newName),
+                    arBalance: amount(arBalance),
+                    fbsCount: amount(fbsCount),
+                    // The table shows each facility's effective status - only differences are overrides
+                    contractSigned: rowContract === contract ? '' : rowContract,
+                    newOwnerName: blank(newOwnerName)
+                };
+            });
+        } else if (facilityLines.length > 0) {
+            inputs.affectedFacilities = listItems('Affected Facilities').join('\n');
+            if (fields['New Facility Names']) {
+                inputs.newFacilityNames = listItems('New Facility Names').join('\n');
+            }
+        }
+
+        const date = fields['Acquisition Date'] && fields['Acquisition Date'].value.match(/\d{4}-\d{2}-\d{2}/);
+        if (date) inputs.acquisitionDate = date[0];
+
+        const saleType = fields['Sale Type'] ? option('saleType', fields['Sale Type'].value) : '';
+        if (saleType) inputs.saleType = saleType;
+
+        // "$12,000 (0-30: $5,000, 90+: $7,000)" - see describeAR
+        if (fields['Outstanding AR']) {
+            const ar = fields['Outstanding AR'].value;
+            const total = ar.match(/^\$[\d,]+/);
+            if (!inputs.facilities) {
+                if (total) {
+                    inputs.arBalance = amount(total[0]);
+                } else {
+                    unreadable.push({ field: 'arBalance', label: `Outstanding AR (could not read "${ar}")` });
+                }
+            }
+            inputs.arAging = {};
+            AGING_BUCKETS.forEach(bucket => {
+                const found = ar.split(/[(,]\s*(?=\d+[-+])/).find(part => part.startsWith(`${bucket.label}: `));
+                const figure = found && found.match(/\$[\d,]+/);
+                inputs.arAging[bucket.key] = figure ? amount(figure[0]) : '';
+            });
+        }
+
+        // "14 shifts (est. $4,200)", "... at $300/shift)" when estimated, or "None" - see describeFBS
+        if (fields['Future Booked Shifts']) {
+            const fbs = fields['Future Booked Shifts'].value;
+            const match = fbs.match(/^(\d+) shifts? \(est\. (\$[\d,]+)( at )?/);
+            if (!inputs.facilities) inputs.fbsCount = match ? match[1] : '0';
+            inputs.fbsValue = match && !match[3] ? amount(match[2]) : '';
+        }
+
+        if (fields['New Owner Contact']) {
+            inputs.newOwnerContact = [fields['New Owner Contact'].value, ...fields['New Owner Contact'].lines]
+                .filter(Boolean).join('\n');
+        }
+
+        const required = {
+            oldOwnerName: 'Old Owner Name',
+            newOwnerName: 'New Owner Name',
+            facilities: 'Affected Facilities',
+            acquisitionDate: 'Acquisition Date',
+            saleType: INPUT_OPTIONS.saleType.label,
+            contractSigned: INPUT_OPTIONS.contractSigned.label,
+            preliminaryOutreach: INPUT_OPTIONS.preliminaryOutreach.label,
+            financialDistress: INPUT_OPTIONS.financialDistress.label,
+            willingnessToPay: INPUT_OPTIONS.willingnessToPay.label,
+            blacklisted: INPUT_OPTIONS.blacklisted.label,
+            badDebt: INPUT_OPTIONS.badDebt.label
+        };
+        const missing = Object.entries(required)
+            .filter(([field]) => field === 'facilities' ? !this.hasFacilities(inputs) && !inputs.affectedFacilities : !inputs[field])
+            .map(([field, label]) => ({ field, label }))
+            .concat(unreadable);
+
+        // The block only shows the rolled-up status, so with facility overrides the case's own is a guess
+        if (contract && inputs.facilities && inputs.facilities.some(f => f.contractSigned)) {
+            missing.push({ field: 'contractSigned', label: `${INPUT_OPTIONS.contractSigned.label} (case default - set from the facility rollup)` });
+        }
+
+        return { inputs, missing };
+    },
+
+    /**
+     * Merge checklist state read from Linear into local progress
+     *
+     * A task whose Linear state differs from the app is a change to apply,
+     * unless it was also ticked in the app since the last sync - then it is a
+     * conflict for the user to decide. Local edits Linear hasn't caught up
+     * with yet (Linear still matches the last sync) are left alone. Entries
+     * a sync wrote (`by: 'Linear'`) are Linear's state, not local edits.
+     *
+     * - checklist:    current checklist (with progress applied)
+     * - progress:     local progress entries (see applyProgress)
+     * - remote:       { [taskId]: boolean } from parseLinearChecklist
+     * - baseChecklist: checklist as last sent to / read from Linear (optional)
+     * - syncedAt:     when that was (optional)
+     *
+     * Returns: { changes: [{ task, completed }], conflicts: [{ task, local, remote }] }
+     */
+    mergeLinearProgress({ checklist, progress = {}, remote, baseChecklist = null, syncedAt = 0 }) {
+        const baseTasks = new Map(baseChecklist ? Object.values(baseChecklist).flat().map(t => [t.id, t]) : []);
+        const changes = [];
+        const conflicts = [];
+
+        Object.values(checklist).flat().forEach(task => {
+            const remoteCompleted = remote[task.id];
+            const localCompleted = Boolean(task.completed);
+            if (remoteCompleted === undefined || remoteCompleted === localCompleted) return;
+
+            const entry = progress[task.id];
+            const editedLocally = Boolean(entry) && entry.by !== 'Linear' && entry.at > syncedAt;
+            const base = baseTasks.has(task.id) ? Boolean(baseTasks.get(task.id).completed) : undefined;
+
+            if (!editedLocally) {
+                changes.push({ task, completed: remoteCompleted });
+            } else if (base !== remoteCompleted) {
+                conflicts.push({ task, local: localCompleted, remote: remoteCompleted });
+            }
+        });
+
+        return { changes, conflicts };
+    },
+
+    /**
+     * Count completed tasks in a list, e.g. for "3/7 done"
+     */
+    countCompleted(tasks) {
+        return { done: tasks.filter(task => task.completed).length, total: tasks.length };
+    },
+
+    /**
+     * Format a date as local YYYY-MM-DD
+     */
+    formatDate(date) {
+        const d = new Date(date);
+        const month = String(d.getMonth() + 1).padStart(2, '0');
+        const day = String(d.getDate()).padStart(2, '0');
+        return `${d.getFullYear()}-${month}-${day}`;
+    },
+
+    /**
+     * Escape a markdown table cell - a bare `|` would start a new column
+     */
+    escapeTableCell(text) {
+        return String(text).replace(/\|/g, '\\|');
+    },
+
+    /**
+     * Cells of a markdown table row, split on unescaped pipes (see escapeTableCell)
+     */
+    splitTableRow(row) {
+        return row.trim().replace(/^\||(?<!\\)\|$/g, '').split(/(?<!\\)\|/)
+            .map(cell => cell.replace(/\\\|/g, '|').trim());
+    },
+
+    /**
+     * Format one checklist task as a markdown checkbox line
+     */
+    formatTaskLine(task) {
+        const checkbox = task.completed ? '[x]' : '[ ]';
+        let line = `- ${checkbox} ${task.text}`;
+        if (task.note) {
+            line += ` *(${task.note})*`;
+        }
+        if (task.facilities) {
+            line += ` — Facilities: ${task.facilities.join(', ')}`;
+        }
+        if (task.completed && task.completedBy) {
+            line += ` — done by ${task.completedBy} on ${this.formatDate(task.completedAt)}`;
+        } else if (!task.completed && task.due) {
+            line += ` — due ${task.due.date}`;
+        }
+        return line;
+    },
+
+    /**
+     * Generate special alerts
+     */
+    generateAlerts(inputs, roster = DEFAULT_ROSTER) {
+        const alerts = [];
+
+        if (inputs.blacklisted === 'new' || inputs.blacklisted === 'both') {
+            alerts.push({
+                type: 'critical',
+                text: `NEW OWNER IS BLACKLISTED: Must inform ${this.rosterNames(roster, 'collections')}${this.rosterChannel(roster, 'collections')} before proceeding. ${this.capitalize(this.rosterNames(roster, 'collections-lead'))} will determine if services can continue.`,
+                escalateTo: 'collections'
+            });
+        }
+
+        if (inputs.blacklisted === 'old') {
             alerts.push({
                 type: 'warning',
                 text: 'Old owner is blacklisted. If facility was previously blacklisted, follow Process of Reinstatement SOP. Accounts with debt under $5k and reliable payment history may be reinstated.'
@@ -956,17 +2246,72 @@ const DecisionEngine = {
         if (inputs.financialDistress === 'yes') {
             alerts.push({
                 type: 'warning',
-                text: 'Financial distress signals detected. Higher risk of non-payment. Consider escalating to Charlie for guidance on approach.'
+                text: `Financial distress signals detected. Higher risk of non-payment. Consider escalating to ${this.rosterNames(roster, 'escalation', 'or')} for guidance on approach.`,
+                escalateTo: 'leadership'
             });
         }
 
         return alerts;
     },
 
+    /**
+     * Decide which team each Linear issue goes to
+     *
+     * The parent issue goes to the team a critical alert escalates to,
+     * otherwise to Billing. Each stage goes to the team owning most of its
+     * open tasks (ties go to the team listed first in the stage).
+     *
+     * Returns: { issue: role, stages: { stage1: role, ... } } - see ROLES
+     */
+    generateRouting(checklist, alerts) {
+        const escalation = alerts.find(alert => alert.type === 'critical' && alert.escalateTo);
+
+        const stages = {};
+        for (const [stage, tasks] of Object.entries(checklist)) {
+            const open = tasks.filter(task => !task.completed);
+            const counts = new Map();
+            (open.length > 0 ? open : tasks).forEach(task => {
+                counts.set(task.role, (counts.get(task.role) || 0) + 1);
+            });
+            let top = null;
+            counts.forEach((count, role) => {
+                if (top === null || count > counts.get(top)) top = role;
+            });
+            stages[stage] = top || 'billing';
+        }
+
+        return { issue: escalation ? escalation.escalateTo : 'billing', stages };
+    },
+
+    /**
+     * Linear label names for a plan: risk level, sale type and one per task
+     * category present, e.g. ['chow-risk-high', 'sale-asset', 'task-sales']
+     *
+     * Returns: { issue: [names], stages: { stage1: [names], ... } } - stage
+     * sub-issues get the risk label plus their own task categories.
+     */
+    generateLinearLabels(inputs, riskLevel, checklist) {
+        const riskLabel = `chow-risk-${riskLevel}`;
+        const taskLabels = tasks => [...new Set(tasks.filter(task => task.label).map(task => `task-${task.label}`))];
+
+        const issue = [riskLabel];
+        if (inputs.saleType) {
+            issue.push(`sale-${inputs.saleType}`);
+        }
+        issue.push(...taskLabels(Object.values(checklist).flat()));
+
+        const stages = {};
+        for (const [stage, tasks] of Object.entries(checklist)) {
+            stages[stage] = [riskLabel, ...taskLabels(tasks)];
+        }
+
+        return { issue, stages };
+    },
+
     /**
      * Format output for Linear (markdown)
      */
-    formatForLinear(inputs, risk, checklist, priorityActions, alerts) {
+    formatForLinear(inputs, risk, checklist, priorityActions, alerts, facilityAssessments = [], roster = DEFAULT_ROSTER) {
         const timing = this.getTiming(inputs.acquisitionDate);
         let output = '';
 
@@ -974,12 +2319,31 @@ const DecisionEngine = {
         output += `## CHOW Details\n`;
         output += `**Old Owner:** ${inputs.oldOwnerName}\n`;
         output += `**New Owner:** ${inputs.newOwnerName}\n`;
-        output += `**Affected Facilities:**\n${inputs.affectedFacilities.split('\n').map(f => `- ${f.trim()}`).join('\n')}\n`;
-        if (inputs.newFacilityNames) {
-            output += `**New Facility Names:**\n${inputs.newFacilityNames.split('\n').map(f => `- ${f.trim()}`).join('\n')}\n`;
+        if (facilityAssessments.length > 0) {
+            output += `**Affected Facilities:**\n`;
+            output += `| Facility | ID | New Name | AR | FBS | Contract | New Owner | Risk |\n`;
+            output += `|---|---|---|---|---|---|---|---|\n`;
+            facilityAssessments.forEach(f => {
+                const contract = f.contractSigned || inputs.contractSigned;
+                const cell = text => this.escapeTableCell(text || '-');
+                output += `| ${cell(f.name)} | ${cell(f.facilityId)} | ${cell(f.newName)} | ${this.formatCurrency(f.arBalance)} | ${f.fbsCount} | ` +
+                    `${contract.toUpperCase()} | ${cell(f.newOwnerName)} | ${f.risk.level.toUpperCase()} |\n`;
+            });
+        } else {
+            output += `**Affected Facilities:**\n${inputs.affectedFacilities.split('\n').map(f => `- ${f.trim()}`).join('\n')}\n`;
+            if (inputs.newFacilityNames) {
+                output += `**New Facility Names:**\n${inputs.newFacilityNames.split('\n').map(f => `- ${f.trim()}`).join('\n')}\n`;
+            }
         }
         output += `**Acquisition Date:** ${inputs.acquisitionDate} (${timing.toUpperCase()})\n`;
         output += `**Sale Type:** ${inputs.saleType.toUpperCase()}\n`;
+        if (facilityAssessments.length > 0) {
+            output += `**Contract Signed:** ${this.aggregateInputs(inputs).contractSigned.toUpperCase()}\n`;
+        }
+        if (risk.exposure) {
+            output += `**Outstanding AR:** ${risk.exposure.arBalance > 0 ? this.describeAR(risk.exposure) : '$0'}\n`;
+            output += `**Future Booked Shifts:** ${this.describeFBS(risk.exposure)}\n`;
+        }
         if (inputs.newOwnerContact) {
             output += `**New Owner Contact:**\n${inputs.newOwnerContact}\n`;
         }
@@ -987,14 +2351,18 @@ const DecisionEngine = {
 
         // Risk Assessment
         output += `## Risk Assessment: ${risk.level.toUpperCase()}\n\n`;
-        output += `${this.generateKeyFocus(inputs, risk.level)}\n\n`;
+        output += `*Decided by rule \`${risk.ruleId}\`*\n\n`;
+        if (risk.exposure) {
+            output += `**Exposure Score:** ${this.formatCurrency(risk.exposure.score)} (${risk.exposure.band.toUpperCase()})\n\n`;
+        }
+        output += `${this.generateKeyFocus(this.aggregateInputs(inputs), risk.level, roster)}\n\n`;
 
         // Priority Actions
         output += `### Priority Actions\n`;
         priorityActions.forEach((action, i) => {
-            output += `${i + 1}. ${action.text}\n`;
+            output += `${i + 1}. ${action.text}${action.due ? ` — due ${action.due.date}` : ''}\n`;
         });
-        output += '\n*Use your judgment and escalate to Louis Case or Charlie Eikenberg if the situation is unclear.*\n\n---\n\n';
+        output += `\n*Use your judgment and escalate to ${this.rosterNames(roster, 'guidance', 'or')} if the situation is unclear.*\n\n---\n\n`;
 
         // Staged Checklist
         const stageNames = {
@@ -1006,14 +2374,10 @@ const DecisionEngine = {
 
         for (const [stage, tasks] of Object.entries(checklist)) {
             if (tasks.length === 0) continue;
-            output += `### ${stageNames[stage]}\n`;
+            const { done, total } = this.countCompleted(tasks);
+            output += `### ${stageNames[stage]} (${done}/${total} done)\n`;
             tasks.forEach(task => {
-                const checkbox = task.completed ? '[x]' : '[ ]';
-                let line = `- ${checkbox} ${task.text}`;
-                if (task.note) {
-                    line += ` *(${task.note})*`;
-                }
-                output += line + '\n';
+                output += this.formatTaskLine(task) + '\n';
             });
             output += '\n';
         }
@@ -1026,6 +2390,8 @@ const DecisionEngine = {
             });
         }
 
+        output += `${alerts.length > 0 ? '\n' : ''}---\n\n*Generated with ${this.describeRuleset(RULESET)}*\n`;
+
         return output;
     },
 
@@ -1038,20 +2404,17 @@ const DecisionEngine = {
         // Include CHOW context at top of each stage
         output += `## ${stageTitle}\n`;
         output += `**CHOW:** ${inputs.oldOwnerName} → ${inputs.newOwnerName}\n`;
-        output += `**Facilities:** ${inputs.affectedFacilities.split('\n').map(f => f.trim()).join(', ')}\n`;
-        if (inputs.newFacilityNames) {
-            output += `**New Names:** ${inputs.newFacilityNames.split('\n').map(f => f.trim()).join(', ')}\n`;
+        const facilities = this.getFacilities(inputs);
+        output += `**Facilities:** ${facilities.map(f => f.name).join(', ')}\n`;
+        if (facilities.some(f => f.newName)) {
+            output += `**New Names:** ${facilities.map(f => f.newName || f.name).join(', ')}\n`;
         }
         output += '\n---\n\n';
 
-        output += `### Tasks\n`;
+        const { done, total } = this.countCompleted(tasks);
+        output += `### Tasks (${done}/${total} done)\n`;
         tasks.forEach(task => {
-            const checkbox = task.completed ? '[x]' : '[ ]';
-            let line = `- ${checkbox} ${task.text}`;
-            if (task.note) {
-                line += ` *(${task.note})*`;
-            }
-            output += line + '\n';
+            output += this.formatTaskLine(task) + '\n';
         });
 
         return output;
@@ -1079,28 +2442,267 @@ const DecisionEngine = {
         return stageMarkdown;
     },
 
+    /**
+     * "CHOW SOP v1.0" for a plan's ruleset stamp - plans from before
+     * versioning have none
+     */
+    describeRuleset(ruleset) {
+        return ruleset ? `${ruleset.name} v${ruleset.version}` : 'an unversioned ruleset';
+    },
+
+    /**
+     * Compare two plans (DecisionEngine.process results)
+     *
+     * Returns: {
+     *   rulesetFrom, rulesetTo, rulesetChanged, riskFrom, riskTo, riskChanged, ruleFrom, ruleTo,
+     *   added: [task], removed: [task], reworded: [{ task, from }], actionsAdded: [text], actionsRemoved: [text]
+     * }
+     * where added/removed are checklist tasks matched by id, and reworded
+     * are tasks in both whose text changed (from is the previous text).
+     */
+    diffPlans(previous, current) {
+        const tasksOf = plan => Object.values(plan.checklist).flat();
+        const previousTexts = new Map(tasksOf(previous).map(task => [task.id, task.text]));
+        const currentIds = new Set(tasksOf(current).map(task => task.id));
+        const actionsOf = plan => plan.priorityActions.map(action => action.text);
+        const versionOf = plan => plan.ruleset ? plan.ruleset.version : null;
+
+        return {
+            rulesetFrom: previous.ruleset || null,
+            rulesetTo: current.ruleset || null,
+            rulesetChanged: versionOf(previous) !== versionOf(current),
+            riskFrom: previous.risk.level,
+            riskTo: current.risk.level,
+            riskChanged: previous.risk.level !== current.risk.level,
+            ruleFrom: previous.risk.ruleId,
+            ruleTo: current.risk.ruleId,
+            added: tasksOf(current).filter(task => !previousTexts.has(task.id)),
+            removed: tasksOf(previous).filter(task => !currentIds.has(task.id)),
+            reworded: tasksOf(current)
+                .filter(task => previousTexts.has(task.id) && previousTexts.get(task.id) !== task.text)
+                .map(task => ({ task, from: previousTexts.get(task.id) })),
+            actionsAdded: actionsOf(current).filter(text => !actionsOf(previous).includes(text)),
+            actionsRemoved: actionsOf(previous).filter(text => !actionsOf(current).includes(text))
+        };
+    },
+
+    /**
+     * Summarise a plan diff (see diffPlans) as markdown, e.g. for a Linear comment
+     */
+    formatPlanChanges(diff) {
+        let output = '**CHOW plan re-assessed**\n\n';
+
+        if (diff.rulesetChanged) {
+            output += `- Ruleset: ${this.describeRuleset(diff.rulesetFrom)} → ${this.describeRuleset(diff.rulesetTo)}\n`;
+        }
+
+        if (diff.riskChanged) {
+            output += `- Risk: ${diff.riskFrom.toUpperCase()} → ${diff.riskTo.toUpperCase()} (rule \`${diff.ruleTo}\`)\n`;
+        } else {
+            output += `- Risk unchanged: ${diff.riskTo.toUpperCase()}`;
+            output += diff.ruleFrom !== diff.ruleTo ? ` (now rule \`${diff.ruleTo}\`, was \`${diff.ruleFrom}\`)\n` : '\n';
+        }
+
+        if (diff.added.length > 0) {
+            output += `- Added tasks:\n${diff.added.map(task => `  - ${task.text}`).join('\n')}\n`;
+        }
+        if (diff.removed.length > 0) {
+            output += `- Removed tasks:\n${diff.removed.map(task => `  - ${task.text}`).join('\n')}\n`;
+        }
+        if (diff.reworded.length > 0) {
+            output += `- Reworded tasks:\n${diff.reworded.map(({ task, from }) => `  - ${from} → ${task.text}`).join('\n')}\n`;
+        }
+        if (diff.actionsAdded.length > 0) {
+            output += `- New priority actions:\n${diff.actionsAdded.map(text => `  - ${text}`).join('\n')}\n`;
+        }
+        if (diff.actionsRemoved.length > 0) {
+            output += `- Dropped priority actions:\n${diff.actionsRemoved.map(text => `  - ${text}`).join('\n')}\n`;
+        }
+        if (!diff.riskChanged && diff.added.length === 0 && diff.removed.length === 0) {
+            output += '- No tasks added or removed\n';
+        }
+
+        return output;
+    },
+
+    /**
+     * List the inputs the what-if analysis varies, each with the alternative
+     * answers to try as patches over the original inputs.
+     *
+     * Enumerated inputs try every other value. With dollar amounts, AR and FBS
+     * try representative amounts on either side of the exposure thresholds.
+     */
+    sensitivityInputs(inputs) {
+        const exposure = this.calculateExposure(inputs);
+        const { thresholds, defaultShiftValue } = this.exposureConfig;
+
+        return Object.entries(this.inputOptions).map(([field, option]) => {
+            if (exposure && field === 'outstandingAR') {
+                const amounts = [0, Math.round(thresholds.minimal / 2), thresholds.major]
+                    .filter(amount => amount !== exposure.arBalance);
+                return {
+                    field,
+                    label: 'AR Balance',
+                    current: this.formatCurrency(exposure.arBalance),
+                    isUnknown: false,
+                    variants: amounts.map(amount => ({
+                        value: String(amount),
+                        label: this.formatCurrency(amount),
+                        patch: { arBalance: amount, arAging: {} }
+                    }))
+                };
+            }
+
+            if (exposure && field === 'futureBookedShifts') {
+                const counts = [0, Math.ceil(thresholds.major / defaultShiftValue)]
+                    .filter(count => count !== exposure.fbsCount);
+                return {
+                    field,
+                    label: 'Future Booked Shifts',
+                    current: this.describeFBS(exposure),
+                    isUnknown: false,
+                    variants: counts.map(count => ({
+                        value: String(count),
+                        label: `${count} shifts`,
+                        patch: { fbsCount: count, fbsValue: null }
+                    }))
+                };
+            }
+
+            return {
+                field,
+                label: option.label,
+                current: option.values[inputs[field]] || inputs[field],
+                isUnknown: inputs[field] === 'unknown',
+                variants: Object.keys(option.values)
+                    .filter(value => value !== inputs[field])
+                    .map(value => ({ value, label: option.values[value], patch: { [field]: value } }))
+            };
+        });
+    },
+
+    /**
+     * What-if analysis: re-run the engine with every alternative answer to
+     * each input and report what would change.
+     *
+     * Unknown answers come first, ordered by impact, so the ones worth chasing
+     * are at the top. Impact counts alternatives that change the risk level
+     * twice as heavily as ones that only change the priority actions.
+     * With a facility table, the analysis runs on the case-level totals.
+     * options.roster and options.clock are passed on to process.
+     *
+     * Returns: Array of {
+     *   field, label, current, isUnknown, impact, worthChasing,
+     *   alternatives: [{ value, label, level, ruleId, riskChanged, addedActions, removedActions, changed }]
+     * }
+     */
+    analyzeSensitivity(inputs, options = {}) {
+        if (options.clock) {
+            const { clock, ...rest } = options;
+            return this.withClock(clock).analyzeSensitivity(inputs, rest);
+        }
+
+        inputs = this.aggregateInputs(inputs);
+        const baseline = this.process(inputs, { roster: options.roster });
+        const baselineActions = baseline.priorityActions.map(action => action.text);
+
+        const analysis = this.sensitivityInputs(inputs).map(input => {
+            const alternatives = input.variants.map(variant => {
+                const result = this.process({ ...inputs, ...variant.patch }, { roster: options.roster });
+                const actions = result.priorityActions.map(action => action.text);
+                const addedActions = actions.filter(text => !baselineActions.includes(text));
+                const removedActions = baselineActions.filter(text => !actions.includes(text));
+                const riskChanged = result.risk.level !== baseline.risk.level;
+
+                return {
+                    value: variant.value,
+                    label: variant.label,
+                    level: result.risk.level,
+                    ruleId: result.risk.ruleId,
+                    riskChanged,
+                    addedActions,
+                    removedActions,
+                    changed: riskChanged || addedActions.length > 0 || removedActions.length > 0
+                };
+            });
+
+            const impact = alternatives.reduce((sum, alt) => sum + (alt.riskChanged ? 2 : alt.changed ? 1 : 0), 0);
+
+            return {
+                field: input.field,
+                label: input.label,
+                current: input.current,
+                isUnknown: input.isUnknown,
+                impact,
+                worthChasing: input.isUnknown && impact > 0,
+                alternatives
+            };
+        });
+
+        return analysis.sort((a, b) => (b.isUnknown - a.isUnknown) || (b.impact - a.impact));
+    },
+
     /**
      * Main entry point - process all inputs and return complete result
+     *
+     * options.progress:  saved checklist progress to apply (see applyProgress)
+     * options.startDate: day the case was opened - deadlines count from it (default today)
+     * options.roster:    who fills each escalation role (see DEFAULT_ROSTER, missing roles use it)
+     * options.clock:     what "now" is for this run (see withClock, default the real clock)
      */
-    process(inputs) {
-        const risk = this.calculateRisk(inputs);
-        const scenario = this.generateScenarioDescription(inputs);
-        const keyFocus = this.generateKeyFocus(inputs, risk.level);
-        const priorityActions = this.generatePriorityActions(inputs, risk.level);
-        const checklist = this.generateChecklist(inputs, risk.level);
-        const alerts = this.generateAlerts(inputs);
-        const linearMarkdown = this.formatForLinear(inputs, risk, checklist, priorityActions, alerts);
+    process(inputs, options = {}) {
+        if (options.clock) {
+            const { clock, ...rest } = options;
+            return this.withClock(clock).process(inputs, rest);
+        }
+
+        // With a facility table, the case is assessed on its totals, then each
+        // facility on its own - the case takes the riskiest level of the two
+        const caseInputs = this.aggregateInputs(inputs);
+        const facilityAssessments = this.hasFacilities(inputs) ? this.assessFacilities(inputs) : [];
+
+        let trace = this.traceRisk(caseInputs);
+        let risk = this.calculateRisk(caseInputs, trace);
+        const startDate = options.startDate || this.today();
+        const roster = this.resolveRoster(options.roster);
+        let checklist;
+        if (facilityAssessments.length > 0) {
+            ({ risk, trace } = this.rollUpRisk(risk, facilityAssessments, trace));
+            checklist = this.mergeFacilityChecklists(facilityAssessments.map(f => ({
+                name: f.name,
+                checklist: this.generateChecklist(f.inputs, f.risk.level, startDate, roster)
+            })));
+        } else {
+            checklist = this.generateChecklist(caseInputs, risk.level, startDate, roster);
+        }
+        checklist = this.applyProgress(checklist, options.progress);
+
+        const scenario = this.generateScenarioDescription(caseInputs);
+        const keyFocus = this.generateKeyFocus(caseInputs, risk.level, roster);
+        const priorityActions = this.generatePriorityActions(caseInputs, risk.level, startDate, roster);
+        const alerts = this.generateAlerts(caseInputs, roster);
+        const linearMarkdown = this.formatForLinear(inputs, risk, checklist, priorityActions, alerts, facilityAssessments, roster);
         const stageMarkdown = this.generateStageMarkdown(inputs, checklist);
+        const linearLabels = this.generateLinearLabels(caseInputs, risk.level, checklist);
+        const routing = this.generateRouting(checklist, alerts);
 
         return {
+            ruleset: { name: RULESET.name, version: RULESET.version },
             risk,
+            trace,
+            facilities: facilityAssessments.map(({ inputs: _facilityInputs, ...facility }) => facility),
             scenario,
             keyFocus,
             priorityActions,
             checklist,
             alerts,
             linearMarkdown,
-            stageMarkdown
+            stageMarkdown,
+            linearLabels,
+            routing
         };
     }
 };
+
+return DecisionEngine;
+});
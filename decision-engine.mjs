@@ -0,0 +1,14 @@
+/**
+ * CHOW Decision Engine as an ES module
+ *
+ *   import DecisionEngine from './decision-engine.mjs';
+ *
+ * Node loads decision-engine.js as CommonJS and hands back its exports; a
+ * browser runs it as a module, which sets the global instead.
+ */
+
+import * as loaded from './decision-engine.js';
+
+const DecisionEngine = loaded.default || globalThis.DecisionEngine;
+
+export default DecisionEngine;
@@ -4,22 +4,220 @@
 
 const LinearIntegration = (function() {
     const STORAGE_KEY = 'chow-linear-settings';
+    const OUTBOX_KEY = 'chow-linear-outbox';
+
+    // v1 (unversioned) stored the API key in plain text; v2 adds encryptedApiKey
+    // for a passphrase-protected key, which then never reaches storage unencrypted
+    const SETTINGS_VERSION = 2;
+    const PBKDF2_ITERATIONS = 310000;
     const LINEAR_API_URL = 'https://api.linear.app/graphql';
 
+    // Labels this app manages - others on an issue are left alone
+    const MANAGED_LABEL_PATTERN = /^(chow-risk|sale|task)-/;
+    const LABEL_COLORS = {
+        'chow-risk-high': '#dc2626',
+        'chow-risk-medium': '#d97706',
+        'chow-risk-low': '#16a34a'
+    };
+    const DEFAULT_LABEL_COLOR = '#64748b';
+
+    // Retries for rate limits, 5xx responses and network failures
+    const MAX_RETRIES = 3;
+    const RETRY_BASE_DELAY = 500; // ms, doubled on each attempt
+    const MAX_RETRY_WAIT = 30000; // ms - longer rate-limit waits go back to the user
+    const PAGE_SIZE = 100;
+
+    // Outbox: mutations that couldn't reach Linear, retried until they do
+    const OUTBOX_RETRY_INTERVAL = 60000; // ms
+    const OUTBOX_LEASE = 120000; // ms a tab may hold an entry it is sending before another tab takes over
+
+    const DRY_RUN_LOG_LIMIT = 200;
+
+    // Linear priority (1 Urgent … 4 Low, 0 none) by risk level, a critical alert
+    // overrides it; dueDate is 'earliest-task', 'acquisition' or 'none'
+    const DEFAULT_ISSUE_DEFAULTS = {
+        priority: { high: 2, medium: 3, low: 4, critical: 1 },
+        dueDate: 'earliest-task'
+    };
+
+    let teamLabels = null; // Cached { name: id } for the selected team
+    let rateLimitResetAt = 0; // When Linear's request budget refills, if we ran out
+    let outbox = []; // Queued operations, oldest first - see queueOperation
+    let flushing = null; // The running flushOutbox, so entries go out one at a time
+    const outboxListeners = [];
+    let dryRunLog = []; // Requests seen in dry-run mode, oldest first - see recordDryRun
+    let dryRunCount = 0;
+    const dryRunListeners = [];
+
+    // ========================================
+    // Errors
+    // ========================================
+
+    class LinearError extends Error {
+        constructor(message, { status = null, retryable = false } = {}) {
+            super(message);
+            this.name = 'LinearError';
+            this.status = status;
+            this.retryable = retryable;
+        }
+    }
+
+    // The API key is missing, wrong or revoked
+    class LinearAuthError extends LinearError {
+        constructor(message, options) {
+            super(message, options);
+            this.name = 'LinearAuthError';
+        }
+    }
+
+    // The key is valid but may not do this (e.g. not a member of the team)
+    class LinearPermissionError extends LinearError {
+        constructor(message, options) {
+            super(message, options);
+            this.name = 'LinearPermissionError';
+        }
+    }
+
+    // Linear rejected the input (bad field value, unknown id, ...)
+    class LinearValidationError extends LinearError {
+        constructor(message, options) {
+            super(message, options);
+            this.name = 'LinearValidationError';
+        }
+    }
+
+    // Too many requests - retryAfter is in ms
+    class LinearRateLimitError extends LinearError {
+        constructor(message, retryAfter, options) {
+            super(message, { ...options, retryable: true });
+            this.name = 'LinearRateLimitError';
+            this.retryAfter = retryAfter;
+        }
+    }
+
+    // Linear couldn't be reached, or failed on its side
+    class LinearNetworkError extends LinearError {
+        constructor(message, options) {
+            super(message, { ...options, retryable: true });
+            this.name = 'LinearNetworkError';
+        }
+    }
+
+    // A message the user can act on, for any error thrown by this module
+    function describeError(error) {
+        if (error instanceof LinearAuthError) {
+            return 'Linear rejected the API key. Check it in Linear settings, or create a new one at linear.app/settings/api.';
+        }
+        if (error instanceof LinearPermissionError) {
+            return `Your Linear account can't do this in ${settings.teamName || 'this team'}. Ask a workspace admin for access. (${error.message})`;
+        }
+        if (error instanceof LinearValidationError) {
+            return `Linear rejected the request: ${error.message}`;
+        }
+        if (error instanceof LinearRateLimitError) {
+            return `Linear's rate limit was reached. Try again in ${Math.ceil(error.retryAfter / 1000)} seconds.`;
+        }
+        if (error instanceof LinearNetworkError) {
+            return `Couldn't reach Linear - check your connection and try again. (${error.message})`;
+        }
+        return error.message;
+    }
+
+    // Map a GraphQL error from Linear to an error class
+    function graphqlError(error, status) {
+        const extensions = error.extensions || {};
+        const type = String(extensions.type || extensions.code || '').toLowerCase();
+        const message = extensions.userPresentableMessage || error.message;
+
+        if (type.includes('authentication') || status === 401) {
+            return new LinearAuthError(message, { status });
+        }
+        if (type.includes('forbidden') || type.includes('permission') || status === 403) {
+            return new LinearPermissionError(message, { status });
+        }
+        if (type.includes('ratelimit')) {
+            return new LinearRateLimitError(message, retryDelay(0), { status });
+        }
+        if (type.includes('invalid') || type.includes('validation') || status === 400) {
+            return new LinearValidationError(message, { status });
+        }
+        return new LinearError(message, { status });
+    }
+
+    // Exponential backoff with a little jitter
+    function retryDelay(attempt) {
+        return RETRY_BASE_DELAY * Math.pow(2, attempt) + Math.floor(Math.random() * 100);
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Remember when the request budget refills once Linear says it is spent
+    function trackRateLimit(response) {
+        const remaining = response.headers.get('X-RateLimit-Requests-Remaining');
+        const reset = response.headers.get('X-RateLimit-Requests-Reset');
+        if (remaining !== null && Number(remaining) <= 0 && reset) {
+            rateLimitResetAt = Number(reset);
+        }
+    }
+
+    // How long to wait before retrying a 429, from Retry-After or the reset header
+    function rateLimitDelay(response, attempt) {
+        const retryAfter = response.headers.get('Retry-After');
+        if (retryAfter && !isNaN(Number(retryAfter))) {
+            return Number(retryAfter) * 1000;
+        }
+        const reset = response.headers.get('X-RateLimit-Requests-Reset');
+        if (reset) {
+            return Math.max(Number(reset) - Date.now(), 0);
+        }
+        return retryDelay(attempt);
+    }
+
     let settings = {
-        apiKey: '',
+        version: SETTINGS_VERSION,
+        apiKey: '', // In memory only while protected - '' when locked
+        encryptedApiKey: null, // { salt, iv, ciphertext, iterations } when protected
         teamId: '',
         teamName: '',
         projectId: '',
-        projectName: ''
+        projectName: '',
+        routing: {}, // role (see DecisionEngine.roles) → Linear member id
+        issueDefaults: DEFAULT_ISSUE_DEFAULTS,
+        apiUrl: '', // GraphQL endpoint, '' for LINEAR_API_URL (e.g. a local mock server)
+        dryRun: false // Record mutations instead of sending them
     };
 
+    // Bring settings saved by older versions up to SETTINGS_VERSION
+    function migrateSettings(saved) {
+        if (saved.version === SETTINGS_VERSION) {
+            return saved;
+        }
+        return {
+            routing: {},
+            issueDefaults: DEFAULT_ISSUE_DEFAULTS,
+            ...saved,
+            encryptedApiKey: null,
+            version: SETTINGS_VERSION
+        };
+    }
+
     // Load settings from localStorage
     function loadSettings() {
         const saved = localStorage.getItem(STORAGE_KEY);
         if (saved) {
             try {
-                settings = JSON.parse(saved);
+                const parsed = JSON.parse(saved);
+                settings = migrateSettings(parsed);
+                if (parsed.version !== SETTINGS_VERSION) {
+                    saveSettings();
+                }
+
+                // A protected key starts locked - the decrypted key only ever lives in memory
+                if (settings.encryptedApiKey) {
+                    settings.apiKey = '';
+                }
                 return true;
             } catch (e) {
                 console.error('Error loading Linear settings:', e);
@@ -30,98 +228,329 @@ const LinearIntegration = (function() {
 
     // Save settings to localStorage
     function saveSettings() {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        const stored = settings.encryptedApiKey ? { ...settings, apiKey: '' } : settings;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
     }
 
     // Clear settings
     function clearSettings() {
+        teamLabels = null;
         settings = {
+            version: SETTINGS_VERSION,
             apiKey: '',
+            encryptedApiKey: null,
             teamId: '',
             teamName: '',
             projectId: '',
-            projectName: ''
+            projectName: '',
+            routing: {},
+            issueDefaults: DEFAULT_ISSUE_DEFAULTS,
+            apiUrl: '',
+            dryRun: false
         };
         localStorage.removeItem(STORAGE_KEY);
     }
 
-    // Make GraphQL request to Linear API
-    async function graphqlRequest(query, variables = {}) {
-        const response = await fetch(LINEAR_API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': settings.apiKey
-            },
-            body: JSON.stringify({ query, variables })
-        });
+    // ========================================
+    // API key protection
+    // ========================================
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+    // WebCrypto is only available on https:// and localhost
+    function canProtectApiKey() {
+        return Boolean(window.crypto && crypto.subtle);
+    }
+
+    function toBase64(bytes) {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+
+    // AES-GCM key derived from the passphrase with PBKDF2
+    async function deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async function encryptApiKey(apiKey, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+        return {
+            salt: toBase64(salt),
+            iv: toBase64(iv),
+            ciphertext: toBase64(ciphertext),
+            iterations: PBKDF2_ITERATIONS
+        };
+    }
+
+    async function decryptApiKey(encrypted, passphrase) {
+        const key = await deriveKey(passphrase, fromBase64(encrypted.salt), encrypted.iterations);
+        try {
+            const plain = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64(encrypted.iv) }, key, fromBase64(encrypted.ciphertext)
+            );
+            return new TextDecoder().decode(plain);
+        } catch (e) {
+            // AES-GCM fails its integrity check when the passphrase is wrong
+            throw new Error('Incorrect passphrase');
+        }
+    }
+
+    function isProtected() {
+        return Boolean(settings.encryptedApiKey);
+    }
+
+    // Protected, and not yet unlocked since the page loaded
+    function isLocked() {
+        return isProtected() && !settings.apiKey;
+    }
+
+    // Encrypt the API key (the saved one unless a new one is given) under a passphrase
+    async function protectApiKey(passphrase, apiKey = settings.apiKey) {
+        if (!passphrase) {
+            throw new Error('Enter a passphrase');
         }
+        settings.encryptedApiKey = await encryptApiKey(apiKey, passphrase);
+        settings.apiKey = apiKey;
+        saveSettings();
+    }
+
+    // Store the (unlocked) key in plain text again
+    function unprotectApiKey() {
+        if (isLocked()) {
+            throw new Error('Unlock the API key first');
+        }
+        settings.encryptedApiKey = null;
+        saveSettings();
+    }
+
+    // Decrypt the API key into memory until the page is closed or reloaded - throws on a wrong passphrase
+    async function unlock(passphrase) {
+        settings.apiKey = await decryptApiKey(settings.encryptedApiKey, passphrase);
+    }
+
+    // Forget the decrypted key until the passphrase is entered again
+    function lock() {
+        if (!isProtected()) return;
+        settings.apiKey = '';
+    }
 
-        const result = await response.json();
-        if (result.errors) {
-            throw new Error(result.errors[0].message);
+    // Make one GraphQL request to Linear API, throwing a LinearError subclass
+    // credentials: { apiKey, apiUrl } - the saved settings unless testing unsaved ones
+    async function sendRequest(query, variables, credentials = settings) {
+        // Don't spend a request while Linear's budget is known to be empty
+        if (rateLimitResetAt > Date.now()) {
+            throw new LinearRateLimitError('Rate limit exceeded', rateLimitResetAt - Date.now());
+        }
+
+        let response;
+        try {
+            response = await fetch(credentials.apiUrl || LINEAR_API_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': credentials.apiKey
+                },
+                body: JSON.stringify({ query, variables })
+            });
+        } catch (e) {
+            throw new LinearNetworkError(e.message);
+        }
+
+        trackRateLimit(response);
+
+        if (response.status === 429) {
+            throw new LinearRateLimitError('Rate limit exceeded', rateLimitDelay(response, 0), { status: 429 });
+        }
+        if (response.status >= 500) {
+            throw new LinearNetworkError(`Linear returned HTTP ${response.status}`, { status: response.status });
+        }
+
+        let result;
+        try {
+            result = await response.json();
+        } catch (e) {
+            throw new LinearNetworkError(`Unreadable response (HTTP ${response.status})`, { status: response.status });
+        }
+
+        if (result.errors && result.errors.length > 0) {
+            throw graphqlError(result.errors[0], response.status);
+        }
+        if (!response.ok) {
+            throw graphqlError({ message: `HTTP ${response.status}` }, response.status);
         }
 
         return result.data;
     }
 
-    // Test API key and fetch teams
-    async function testConnection(apiKey) {
-        settings.apiKey = apiKey;
+    // Make GraphQL request to Linear API, retrying rate limits, 5xx and network failures
+    // In dry-run mode mutations are only recorded - see recordDryRun
+    async function graphqlRequest(query, variables = {}, credentials = settings) {
+        if (settings.dryRun) {
+            const mutation = recordDryRun(query, variables, credentials.apiUrl);
+            if (mutation) {
+                return dryRunResult(mutation, variables);
+            }
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await sendRequest(query, variables, credentials);
+            } catch (error) {
+                const wait = error instanceof LinearRateLimitError ? error.retryAfter : retryDelay(attempt);
+                if (!error.retryable || attempt >= MAX_RETRIES || wait > MAX_RETRY_WAIT) {
+                    throw error;
+                }
+                await sleep(wait);
+            }
+        }
+    }
+
+    // ========================================
+    // Dry run
+    // ========================================
+
+    // The mutation's field, e.g. 'issueCreate', or null for a query
+    function mutationName(query) {
+        const match = query.match(/^\s*mutation\b[^{]*{\s*(\w+)/);
+        return match ? match[1] : null;
+    }
+
+    // Strip the indentation the query templates carry
+    function dedent(text) {
+        const lines = text.replace(/^\n+|\s+$/g, '').split('\n');
+        const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^ */)[0].length));
+        return lines.map(line => line.slice(indent)).join('\n');
+    }
+
+    // Log a request. Queries still go to Linear so the modals can load teams and
+    // members; mutations are answered by dryRunResult. Returns the mutation name.
+    function recordDryRun(query, variables, apiUrl) {
+        const mutation = mutationName(query);
+        dryRunLog.push({
+            at: Date.now(),
+            endpoint: apiUrl || LINEAR_API_URL,
+            query: dedent(query),
+            variables,
+            sent: !mutation
+        });
+        if (dryRunLog.length > DRY_RUN_LOG_LIMIT) {
+            dryRunLog.shift();
+        }
+        dryRunListeners.forEach(listener => listener(getDryRunLog()));
+        return mutation;
+    }
+
+    // A successful response for a recorded mutation, shaped to satisfy every
+    // mutation this module sends (issue, comment and label results)
+    function dryRunResult(mutation, variables) {
+        dryRunCount++;
+        const id = variables.id || (variables.input && variables.input.id) || `dry-run-${dryRunCount}`;
+        return {
+            [mutation]: {
+                success: true,
+                issue: { id, identifier: `DRY-${dryRunCount}`, url: '', dryRun: true },
+                comment: { id, dryRun: true },
+                issueLabel: { id, dryRun: true }
+            }
+        };
+    }
+
+    // Recorded requests: { at, endpoint, query, variables, sent }
+    function getDryRunLog() {
+        return dryRunLog.slice();
+    }
+
+    function clearDryRunLog() {
+        dryRunLog = [];
+        dryRunListeners.forEach(listener => listener([]));
+    }
+
+    function onDryRunRecord(listener) {
+        dryRunListeners.push(listener);
+    }
+
+    // Read every page of a connection. The query takes $first and $after and
+    // selects nodes plus pageInfo { hasNextPage endCursor }; getConnection
+    // picks the connection out of the response data.
+    async function fetchAllNodes(query, variables, getConnection, credentials = settings) {
+        const nodes = [];
+        let after = null;
+
+        do {
+            const data = await graphqlRequest(query, { ...variables, first: PAGE_SIZE, after }, credentials);
+            const connection = getConnection(data);
+            nodes.push(...connection.nodes);
+            after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+        } while (after);
+
+        return nodes;
+    }
+
+    // Test API key (against apiUrl when given) and fetch teams
+    // Nothing is saved - the settings modal commits the key and endpoint on Save
+    async function testConnection(apiKey, apiUrl) {
+        const credentials = { apiKey, apiUrl: apiUrl === undefined ? settings.apiUrl : apiUrl };
 
         const query = `
-            query {
-                teams {
+            query($first: Int!, $after: String) {
+                teams(first: $first, after: $after) {
                     nodes {
                         id
                         name
                     }
+                    pageInfo {
+                        hasNextPage
+                        endCursor
+                    }
                 }
             }
         `;
 
-        const data = await graphqlRequest(query);
-        return data.teams.nodes;
+        return fetchAllNodes(query, {}, data => data.teams, credentials);
     }
 
-    // Fetch projects for a team
-    async function fetchProjects(teamId) {
+    // Fetch projects for a team (credentials: see sendRequest)
+    async function fetchProjects(teamId, credentials = settings) {
         const query = `
-            query($teamId: String!) {
+            query($teamId: String!, $first: Int!, $after: String) {
                 team(id: $teamId) {
-                    projects {
+                    projects(first: $first, after: $after) {
                         nodes {
                             id
                             name
                         }
+                        pageInfo {
+                            hasNextPage
+                            endCursor
+                        }
                     }
                 }
             }
         `;
 
-        const data = await graphqlRequest(query, { teamId });
-        return data.team.projects.nodes;
+        return fetchAllNodes(query, { teamId }, data => data.team.projects, credentials);
     }
 
     // Create an issue in Linear
+    // Returns the issue, or { id, identifier: null, url: null, queued: true } when it
+    // went to the outbox. The id is generated here so sub-issues can point at a
+    // queued parent and a retry can tell whether the issue already exists.
     async function createIssue(title, description, options = {}) {
-        const query = `
-            mutation($input: IssueCreateInput!) {
-                issueCreate(input: $input) {
-                    success
-                    issue {
-                        id
-                        identifier
-                        url
-                    }
-                }
-            }
-        `;
-
         const input = {
+            id: generateId(),
             teamId: settings.teamId,
             title: title,
             description: description
@@ -136,57 +565,504 @@ const LinearIntegration = (function() {
         if (options.stateId) {
             input.stateId = options.stateId;
         }
+        if (options.parentId) {
+            input.parentId = options.parentId;
+        }
+        if (options.dueDate) {
+            input.dueDate = options.dueDate;
+        }
         if (settings.projectId) {
             input.projectId = settings.projectId;
         }
 
+        return sendOperation({ type: 'issueCreate', id: input.id, input, labelNames: options.labelNames });
+    }
+
+    // Create a parent issue plus one sub-issue per stage
+    // stageMarkdown: { stage1: markdown, ... } - empty stages are skipped
+    // options.stages: { stage1: { assigneeId, stateId, dueDate }, ... } - falls back to the parent's
+    // options.stageLabelNames: { stage1: [names], ... } - replaces the parent's labelNames
+    async function createIssueWithStages(title, description, stageMarkdown, options = {}) {
+        const { stages: stageOptions = {}, stageLabelNames: _stageLabelNames, ...parentOptions } = options;
+        const parent = await createIssue(title, description, parentOptions);
+
+        const children = [];
+        for (const [stage, markdown] of Object.entries(stageMarkdown)) {
+            if (!markdown) continue;
+
+            // Stage markdown starts with "## Stage N: Name"
+            const stageTitle = markdown.split('\n')[0].replace(/^#+\s*/, '');
+            const childOptions = { ...parentOptions, ...stageOptions[stage], parentId: parent.id };
+            if (options.stageLabelNames) {
+                childOptions.labelNames = options.stageLabelNames[stage];
+            }
+            const issue = await createIssue(`${title} — ${stageTitle}`, markdown, childOptions);
+            children.push({ stage, ...issue });
+        }
+
+        return { ...parent, children };
+    }
+
+    // Update an existing issue (title, description, priority, assigneeId, stateId,
+    // labelNames - managed labels not named are removed)
+    // Returns the issue, or { id, queued: true } when it went to the outbox
+    async function updateIssue(id, changes) {
+        const { labelNames, ...input } = changes;
+        return sendOperation({ type: 'issueUpdate', id, input, labelNames });
+    }
+
+    // Post a markdown comment on an issue
+    async function createComment(issueId, body) {
+        const id = generateId();
+        return sendOperation({ type: 'commentCreate', id, input: { id, issueId, body } });
+    }
+
+    // ========================================
+    // Outbox
+    // ========================================
+
+    const MUTATIONS = {
+        issueCreate: `
+            mutation($input: IssueCreateInput!) {
+                issueCreate(input: $input) {
+                    success
+                    issue {
+                        id
+                        identifier
+                        url
+                    }
+                }
+            }
+        `,
+        issueUpdate: `
+            mutation($id: String!, $input: IssueUpdateInput!) {
+                issueUpdate(id: $id, input: $input) {
+                    success
+                    issue {
+                        id
+                        identifier
+                        url
+                    }
+                }
+            }
+        `,
+        commentCreate: `
+            mutation($input: CommentCreateInput!) {
+                commentCreate(input: $input) {
+                    success
+                    comment {
+                        id
+                    }
+                }
+            }
+        `
+    };
+
+    // Lookups for an issue or comment we may already have created
+    const CREATED_LOOKUPS = {
+        issueCreate: `
+            query($id: String!) {
+                issue(id: $id) {
+                    id
+                    identifier
+                    url
+                }
+            }
+        `,
+        commentCreate: `
+            query($id: String!) {
+                comment(id: $id) {
+                    id
+                }
+            }
+        `
+    };
+
+    // Linear accepts client-generated UUIDs as issue and comment ids
+    function generateId() {
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.floor(Math.random() * 16);
+            return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+        });
+    }
+
+    function loadOutbox() {
+        try {
+            outbox = JSON.parse(localStorage.getItem(OUTBOX_KEY)) || [];
+        } catch (e) {
+            console.error('Error loading Linear outbox:', e);
+            outbox = [];
+        }
+    }
+
+    function saveOutbox() {
+        localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+    }
+
+    // change: { entry, result } when a queued entry was sent, { entry, error } when
+    // Linear refused it, {} when entries were only added or retried
+    function notifyOutbox(change = {}) {
+        outboxListeners.forEach(listener => listener({ ...change, outbox: getOutbox() }));
+    }
+
+    function onOutboxChange(listener) {
+        outboxListeners.push(listener);
+    }
+
+    // Queued entries: { key, type, id, input, labelNames?, queuedAt, attempts, lastError?, sendingAt? }
+    function getOutbox() {
+        return outbox.map(entry => ({ ...entry }));
+    }
+
+    // Errors that mean a lookup failed, as opposed to finding nothing
+    function lookupFailed(error) {
+        return error instanceof LinearAuthError || error instanceof LinearPermissionError || error.retryable;
+    }
+
+    // The issue or comment with this id, or null if it was never created
+    async function findCreated(type, id) {
+        try {
+            const data = await graphqlRequest(CREATED_LOOKUPS[type], { id });
+            return type === 'issueCreate' ? data.issue : data.comment;
+        } catch (e) {
+            if (lookupFailed(e)) throw e;
+            return null;
+        }
+    }
+
+    // Send one operation to Linear. resumed: an earlier attempt may have got
+    // through, so creates check for their id before going out again.
+    async function runOperation(operation, resumed = false) {
+        const { type, id, labelNames } = operation;
+
+        if (resumed && CREATED_LOOKUPS[type]) {
+            const existing = await findCreated(type, id);
+            if (existing) return existing;
+        }
+
+        // Labels are resolved at send time, so queued operations keep theirs
+        const input = { ...operation.input };
+        if (type === 'issueCreate' && labelNames && labelNames.length > 0) {
+            // Labels are a convenience - the issue still goes out without them,
+            // unless Linear is unreachable and the whole create will be queued
+            try {
+                input.labelIds = await ensureLabels(labelNames);
+            } catch (e) {
+                if (e.retryable) throw e;
+                console.error('Error applying Linear labels:', e);
+            }
+        } else if (type === 'issueUpdate' && labelNames) {
+            Object.assign(input, await labelChanges(labelNames));
+        }
+
+        const variables = type === 'issueUpdate' ? { id, input } : { input };
+        let data;
+        try {
+            data = await graphqlRequest(MUTATIONS[type], variables);
+        } catch (error) {
+            // A retry whose earlier try got through finds its id already taken
+            const existing = !error.retryable && CREATED_LOOKUPS[type] ? await findCreated(type, id) : null;
+            if (existing) return existing;
+            throw error;
+        }
+
+        if (!data[type].success) {
+            throw new LinearError(`Linear did not accept the ${type}`);
+        }
+        return type === 'commentCreate' ? data[type].comment : data[type].issue;
+    }
+
+    function queueOperation(operation) {
+        loadOutbox();
+        outbox.push({ attempts: 0, ...operation, key: generateId(), queuedAt: Date.now() });
+        saveOutbox();
+        notifyOutbox();
+    }
+
+    // Send now, or queue when offline or Linear can't be reached. Anything already
+    // queued goes first, so a sub-issue or comment never overtakes its issue.
+    async function sendOperation(operation) {
+        // Dry runs never touch the outbox - queued changes wait for a real run
+        if (settings.dryRun) {
+            return runOperation(operation);
+        }
+
+        loadOutbox();
+        const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+        const waitingBehindQueue = online && outbox.length > 0;
+
+        if (outbox.length === 0 && online) {
+            try {
+                return await runOperation(operation);
+            } catch (error) {
+                if (!error.retryable) throw error;
+                operation = { ...operation, attempts: 1, lastError: error.message };
+            }
+        }
+
+        queueOperation(operation);
+        // Only queued to keep the order - send it with the rest now rather than at the next retry
+        if (waitingBehindQueue) {
+            flushOutbox();
+        }
+        return operation.type === 'issueCreate'
+            ? { id: operation.id, identifier: null, url: null, queued: true }
+            : { id: operation.id, queued: true };
+    }
+
+    // Entries are re-read before each change, since other tabs share the outbox
+    function updateEntry(key, changes) {
+        loadOutbox();
+        outbox = outbox.map(entry => entry.key === key ? { ...entry, ...changes } : entry);
+        saveOutbox();
+    }
+
+    function removeEntry(key) {
+        loadOutbox();
+        outbox = outbox.filter(entry => entry.key !== key);
+        saveOutbox();
+    }
+
+    async function drainOutbox() {
+        while (isConnected() && !settings.dryRun) {
+            loadOutbox();
+            const entry = outbox[0];
+            if (!entry) break;
+
+            // Another tab is sending it
+            if (entry.sendingAt && Date.now() - entry.sendingAt < OUTBOX_LEASE) break;
+
+            const resumed = entry.attempts > 0 || Boolean(entry.sendingAt);
+            updateEntry(entry.key, { attempts: entry.attempts + 1, sendingAt: Date.now() });
+
+            try {
+                const result = await runOperation(entry, resumed);
+                removeEntry(entry.key);
+                notifyOutbox({ entry, result });
+            } catch (error) {
+                if (error.retryable) {
+                    updateEntry(entry.key, { sendingAt: null, lastError: error.message });
+                    notifyOutbox();
+                    break;
+                }
+                console.error('Linear rejected a queued change:', error);
+                removeEntry(entry.key);
+                notifyOutbox({ entry, error });
+            }
+        }
+        return outbox.length;
+    }
+
+    // Send queued entries in order, stopping at the first one Linear can't take yet
+    // Resolves with the number still queued
+    function flushOutbox() {
+        if (!flushing) {
+            flushing = drainOutbox().finally(() => {
+                flushing = null;
+            });
+        }
+        return flushing;
+    }
+
+    // Look up the team's labels by name, creating any that are missing
+    // Returns the label ids in the same order as the names
+    async function ensureLabels(names) {
+        if (!teamLabels) {
+            const query = `
+                query($teamId: String!, $first: Int!, $after: String) {
+                    team(id: $teamId) {
+                        labels(first: $first, after: $after) {
+                            nodes {
+                                id
+                                name
+                            }
+                            pageInfo {
+                                hasNextPage
+                                endCursor
+                            }
+                        }
+                    }
+                }
+            `;
+
+            const labels = await fetchAllNodes(query, { teamId: settings.teamId }, data => data.team.labels);
+            teamLabels = {};
+            labels.forEach(label => {
+                teamLabels[label.name] = label.id;
+            });
+        }
+
+        const ids = [];
+        for (const name of names) {
+            if (!teamLabels[name]) {
+                teamLabels[name] = await createLabel(name);
+            }
+            ids.push(teamLabels[name]);
+        }
+        return ids;
+    }
+
+    async function createLabel(name) {
+        const query = `
+            mutation($input: IssueLabelCreateInput!) {
+                issueLabelCreate(input: $input) {
+                    success
+                    issueLabel {
+                        id
+                    }
+                }
+            }
+        `;
+
+        const input = {
+            name,
+            teamId: settings.teamId,
+            color: LABEL_COLORS[name] || DEFAULT_LABEL_COLOR
+        };
         const data = await graphqlRequest(query, { input });
 
-        if (!data.issueCreate.success) {
-            throw new Error('Failed to create issue');
+        if (!data.issueLabelCreate.success) {
+            throw new Error(`Failed to create label ${name}`);
         }
 
-        return data.issueCreate.issue;
+        return data.issueLabelCreate.issueLabel.id;
+    }
+
+    // Label changes for an existing issue: add these names, drop other managed labels
+    // Returns no changes if the labels can't be looked up or created
+    async function labelChanges(names) {
+        try {
+            const addedLabelIds = await ensureLabels(names);
+            const removedLabelIds = Object.entries(teamLabels)
+                .filter(([name]) => MANAGED_LABEL_PATTERN.test(name) && !names.includes(name))
+                .map(([, id]) => id);
+            return { addedLabelIds, removedLabelIds };
+        } catch (e) {
+            console.error('Error applying Linear labels:', e);
+            return {};
+        }
     }
 
-    // Fetch team members
-    async function fetchTeamMembers(teamId) {
+    // Fetch an issue's description along with its sub-issues' descriptions
+    async function fetchIssueWithChildren(id) {
+        const query = `
+            query($id: String!) {
+                issue(id: $id) {
+                    id
+                    identifier
+                    url
+                    description
+                    updatedAt
+                    children {
+                        nodes {
+                            id
+                            identifier
+                            url
+                            description
+                        }
+                    }
+                }
+            }
+        `;
+
+        const data = await graphqlRequest(query, { id });
+        const { children, ...issue } = data.issue;
+        return { ...issue, children: children.nodes };
+    }
+
+    // Find an issue by identifier (e.g. "CHOW-12") or by exact title in the team
+    // Returns null when nothing matches
+    async function findIssue(search) {
+        if (/^[A-Z][A-Z0-9]*-\d+$/i.test(search)) {
+            const query = `
+                query($id: String!) {
+                    issue(id: $id) {
+                        id
+                        identifier
+                        url
+                        title
+                    }
+                }
+            `;
+
+            try {
+                const data = await graphqlRequest(query, { id: search.toUpperCase() });
+                return data.issue;
+            } catch (e) {
+                // Linear answers "Entity not found" for unknown identifiers
+                if (lookupFailed(e)) throw e;
+                return null;
+            }
+        }
+
         const query = `
-            query($teamId: String!) {
+            query($teamId: ID, $title: String) {
+                issues(
+                    filter: { team: { id: { eq: $teamId } }, title: { eq: $title } }
+                    orderBy: updatedAt
+                    first: 1
+                ) {
+                    nodes {
+                        id
+                        identifier
+                        url
+                        title
+                    }
+                }
+            }
+        `;
+
+        const data = await graphqlRequest(query, { teamId: settings.teamId, title: search });
+        return data.issues.nodes[0] || null;
+    }
+
+    // Fetch team members (credentials: see sendRequest)
+    async function fetchTeamMembers(teamId, credentials = settings) {
+        const query = `
+            query($teamId: String!, $first: Int!, $after: String) {
                 team(id: $teamId) {
-                    members {
+                    members(first: $first, after: $after) {
                         nodes {
                             id
                             name
                             displayName
                         }
+                        pageInfo {
+                            hasNextPage
+                            endCursor
+                        }
                     }
                 }
             }
         `;
 
-        const data = await graphqlRequest(query, { teamId });
-        return data.team.members.nodes;
+        return fetchAllNodes(query, { teamId }, data => data.team.members, credentials);
     }
 
     // Fetch workflow states for a team
     async function fetchWorkflowStates(teamId) {
         const query = `
-            query($teamId: String!) {
+            query($teamId: String!, $first: Int!, $after: String) {
                 team(id: $teamId) {
-                    states {
+                    states(first: $first, after: $after) {
                         nodes {
                             id
                             name
                             type
                         }
+                        pageInfo {
+                            hasNextPage
+                            endCursor
+                        }
                     }
                 }
             }
         `;
 
-        const data = await graphqlRequest(query, { teamId });
-        return data.team.states.nodes;
+        return fetchAllNodes(query, { teamId }, data => data.team.states);
     }
 
     // Check if connected
@@ -196,30 +1072,120 @@ const LinearIntegration = (function() {
 
     // Get current settings
     function getSettings() {
-        return { ...settings };
+        return { routing: {}, ...settings };
+    }
+
+    // Priority and due date defaults, filling in anything settings leave out
+    function getIssueDefaults() {
+        const saved = settings.issueDefaults || {};
+        return {
+            priority: { ...DEFAULT_ISSUE_DEFAULTS.priority, ...saved.priority },
+            dueDate: saved.dueDate || DEFAULT_ISSUE_DEFAULTS.dueDate
+        };
+    }
+
+    // Linear priority for a plan - a critical alert wins over the risk level
+    function defaultPriority(plan) {
+        const { priority } = getIssueDefaults();
+        const critical = plan.alerts.some(alert => alert.type === 'critical');
+        return critical ? priority.critical : priority[plan.risk.level];
+    }
+
+    // Due date (YYYY-MM-DD) for an issue covering these actions and tasks, or ''
+    function defaultDueDate(items, acquisitionDate) {
+        const { dueDate } = getIssueDefaults();
+        if (dueDate === 'none') return '';
+
+        const earliest = DecisionEngine.earliestDeadline(items);
+        if (dueDate === 'earliest-task' && earliest) return earliest;
+
+        // Fall back to the acquisition date while it is still ahead
+        if (acquisitionDate && DecisionEngine.getTiming(acquisitionDate) === 'future') {
+            return acquisitionDate;
+        }
+        return dueDate === 'acquisition' ? acquisitionDate || '' : '';
+    }
+
+    // Linear member id routed to a team, or '' when none is set
+    function routedAssignee(role) {
+        return (settings.routing && settings.routing[role]) || '';
     }
 
     // Update settings
+    // A new API key for a protected setup has to go through protectApiKey
+    // (the unlocked key in memory is the one the stored ciphertext holds)
     function updateSettings(newSettings) {
+        if (isProtected() && newSettings.apiKey !== undefined && newSettings.apiKey !== settings.apiKey) {
+            throw new Error('Enter the passphrase to protect the new API key');
+        }
+        // Labels cached for another team, endpoint or a dry run don't carry over
+        if (['teamId', 'apiUrl', 'dryRun'].some(key => newSettings[key] !== undefined && newSettings[key] !== settings[key])) {
+            teamLabels = null;
+        }
         settings = { ...settings, ...newSettings };
         saveSettings();
     }
 
     // Initialize
     loadSettings();
+    loadOutbox();
+
+    // Retry queued entries when the connection comes back, and every so often
+    window.addEventListener('online', () => flushOutbox());
+    setInterval(() => {
+        if (outbox.length > 0) flushOutbox();
+    }, OUTBOX_RETRY_INTERVAL);
+
+    // Keep in step with other tabs' outbox changes
+    window.addEventListener('storage', function(e) {
+        if (e.key === OUTBOX_KEY) {
+            loadOutbox();
+            notifyOutbox();
+        }
+    });
 
     return {
         loadSettings,
         saveSettings,
         clearSettings,
+        canProtectApiKey,
+        isProtected,
+        isLocked,
+        protectApiKey,
+        unprotectApiKey,
+        unlock,
+        lock,
         testConnection,
         fetchProjects,
         fetchTeamMembers,
         fetchWorkflowStates,
         createIssue,
+        createIssueWithStages,
+        updateIssue,
+        createComment,
+        getOutbox,
+        flushOutbox,
+        onOutboxChange,
+        getDryRunLog,
+        clearDryRunLog,
+        onDryRunRecord,
+        findIssue,
+        ensureLabels,
+        fetchIssueWithChildren,
         isConnected,
         getSettings,
-        updateSettings
+        routedAssignee,
+        getIssueDefaults,
+        defaultPriority,
+        defaultDueDate,
+        updateSettings,
+        describeError,
+        LinearError,
+        LinearAuthError,
+        LinearPermissionError,
+        LinearValidationError,
+        LinearRateLimitError,
+        LinearNetworkError
     };
 })();
 
@@ -233,17 +1199,68 @@ document.addEventListener('DOMContentLoaded', function() {
     const projectSelect = document.getElementById('linearProject');
     const teamGroup = document.getElementById('teamSelectGroup');
     const projectGroup = document.getElementById('projectSelectGroup');
+    const routingGroup = document.getElementById('routingGroup');
+    const routingList = document.getElementById('routingList');
+    const issueDefaultsGroup = document.getElementById('issueDefaultsGroup');
+    const defaultPrioritySelects = document.querySelectorAll('#issueDefaultsGroup select[data-priority]');
+    const defaultDueDateSelect = document.getElementById('defaultDueDate');
+
+    // Same choices as the Create Issue priority picker
+    defaultPrioritySelects.forEach(select => {
+        select.innerHTML = document.getElementById('issuePriority').innerHTML;
+    });
+
+    function fillIssueDefaults() {
+        const defaults = LinearIntegration.getIssueDefaults();
+        defaultPrioritySelects.forEach(select => {
+            select.value = defaults.priority[select.dataset.priority] || '';
+        });
+        defaultDueDateSelect.value = defaults.dueDate;
+    }
+
+    function readIssueDefaults() {
+        const priority = {};
+        defaultPrioritySelects.forEach(select => {
+            priority[select.dataset.priority] = parseInt(select.value) || 0;
+        });
+        return { priority, dueDate: defaultDueDateSelect.value };
+    }
     const statusDiv = document.getElementById('linearStatus');
     const saveBtn = document.getElementById('saveLinearSettings');
     const disconnectBtn = document.getElementById('disconnectLinear');
+    const lockBtn = document.getElementById('lockLinear');
     const connectionStatus = document.getElementById('linearConnectionStatus');
+    const unlockGroup = document.getElementById('unlockGroup');
+    const unlockInput = document.getElementById('linearUnlockPassphrase');
+    const apiKeyGroup = document.getElementById('apiKeyGroup');
+    const keyProtectionGroup = document.getElementById('keyProtectionGroup');
+    const protectKeyInput = document.getElementById('protectApiKey');
+    const passphraseInput = document.getElementById('linearPassphrase');
+    const dryRunInput = document.getElementById('linearDryRun');
+    const apiUrlInput = document.getElementById('linearApiUrl');
+    const dryRunStatus = document.getElementById('linearDryRunStatus');
 
     let teams = [];
     let projects = [];
 
     // Update connection status display
     function updateConnectionDisplay() {
-        if (LinearIntegration.isConnected()) {
+        const locked = LinearIntegration.isLocked();
+        unlockGroup.style.display = locked ? 'block' : 'none';
+        apiKeyGroup.style.display = locked ? 'none' : 'block';
+        keyProtectionGroup.style.display = !locked && LinearIntegration.canProtectApiKey() ? 'block' : 'none';
+        protectKeyInput.checked = LinearIntegration.isProtected();
+        passphraseInput.value = '';
+        updatePassphraseInput();
+        lockBtn.style.display = LinearIntegration.isProtected() && !locked ? 'block' : 'none';
+        renderDryRunStatus();
+
+        if (locked) {
+            connectionStatus.textContent = 'Linear locked';
+            openBtn.classList.remove('connected');
+            disconnectBtn.style.display = 'block';
+            saveBtn.textContent = 'Unlock';
+        } else if (LinearIntegration.isConnected()) {
             const settings = LinearIntegration.getSettings();
             connectionStatus.textContent = `Connected: ${settings.teamName}`;
             openBtn.classList.add('connected');
@@ -257,9 +1274,73 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    // A new passphrase is optional once the key is protected
+    function updatePassphraseInput() {
+        passphraseInput.style.display = protectKeyInput.checked ? 'block' : 'none';
+        passphraseInput.placeholder = LinearIntegration.isProtected()
+            ? 'New passphrase (leave blank to keep the current one)'
+            : 'Passphrase';
+    }
+
+    protectKeyInput.addEventListener('change', updatePassphraseInput);
+
+    async function unlockApiKey() {
+        statusDiv.textContent = 'Unlocking...';
+        statusDiv.className = 'linear-status loading';
+
+        try {
+            await LinearIntegration.unlock(unlockInput.value);
+        } catch (error) {
+            statusDiv.textContent = error.message;
+            statusDiv.className = 'linear-status error';
+            return;
+        }
+
+        unlockInput.value = '';
+        updateConnectionDisplay();
+        statusDiv.textContent = 'Unlocked until this page is closed or reloaded.';
+        statusDiv.className = 'linear-status success';
+
+        const settings = LinearIntegration.getSettings();
+        apiKeyInput.value = settings.apiKey;
+        loadTeamsFromKey(settings.apiKey);
+
+        // Anything queued while locked can go out now
+        LinearIntegration.flushOutbox();
+    }
+
+    unlockInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            unlockApiKey();
+        }
+    });
+
+    // Forget the decrypted key until the passphrase is entered again
+    lockBtn.addEventListener('click', function() {
+        LinearIntegration.lock();
+        apiKeyInput.value = '';
+        teamGroup.style.display = 'none';
+        projectGroup.style.display = 'none';
+        routingGroup.style.display = 'none';
+        issueDefaultsGroup.style.display = 'none';
+        statusDiv.textContent = 'Locked. Enter the passphrase to use Linear again.';
+        statusDiv.className = 'linear-status';
+        updateConnectionDisplay();
+    });
+
     // Open modal
     openBtn.addEventListener('click', function() {
         modal.classList.add('show');
+        updateConnectionDisplay();
+
+        const { dryRun, apiUrl } = LinearIntegration.getSettings();
+        dryRunInput.checked = Boolean(dryRun);
+        apiUrlInput.value = apiUrl || '';
+
+        if (LinearIntegration.isLocked()) {
+            unlockInput.focus();
+            return;
+        }
 
         // Pre-fill if we have settings
         const settings = LinearIntegration.getSettings();
@@ -298,12 +1379,25 @@ document.addEventListener('DOMContentLoaded', function() {
         }, 100);
     });
 
+    // A new endpoint means reloading teams from it
+    apiUrlInput.addEventListener('change', async function() {
+        const key = apiKeyInput.value.trim();
+        if (key) {
+            await loadTeamsFromKey(key);
+        }
+    });
+
+    // The key and endpoint in the form - only saved settings reach the live client
+    function enteredCredentials() {
+        return { apiKey: apiKeyInput.value.trim(), apiUrl: apiUrlInput.value.trim() };
+    }
+
     async function loadTeamsFromKey(key) {
         statusDiv.textContent = 'Connecting to Linear...';
         statusDiv.className = 'linear-status loading';
 
         try {
-            teams = await LinearIntegration.testConnection(key);
+            teams = await LinearIntegration.testConnection(key, apiUrlInput.value.trim());
 
             if (teams.length === 0) {
                 statusDiv.textContent = 'No teams found. Check your API key permissions.';
@@ -325,6 +1419,7 @@ document.addEventListener('DOMContentLoaded', function() {
             if (settings.teamId) {
                 teamSelect.value = settings.teamId;
                 await loadProjectsForTeam(settings.teamId);
+                await loadRoutingForTeam(settings.teamId);
             }
 
             teamGroup.style.display = 'block';
@@ -332,10 +1427,12 @@ document.addEventListener('DOMContentLoaded', function() {
             statusDiv.className = 'linear-status success';
 
         } catch (error) {
-            statusDiv.textContent = 'Connection failed: ' + error.message;
+            statusDiv.textContent = 'Connection failed: ' + LinearIntegration.describeError(error);
             statusDiv.className = 'linear-status error';
             teamGroup.style.display = 'none';
             projectGroup.style.display = 'none';
+            routingGroup.style.display = 'none';
+            issueDefaultsGroup.style.display = 'none';
         }
     }
 
@@ -344,14 +1441,17 @@ document.addEventListener('DOMContentLoaded', function() {
         const teamId = teamSelect.value;
         if (teamId) {
             await loadProjectsForTeam(teamId);
+            await loadRoutingForTeam(teamId);
         } else {
             projectGroup.style.display = 'none';
+            routingGroup.style.display = 'none';
+            issueDefaultsGroup.style.display = 'none';
         }
     });
 
     async function loadProjectsForTeam(teamId) {
         try {
-            projects = await LinearIntegration.fetchProjects(teamId);
+            projects = await LinearIntegration.fetchProjects(teamId, enteredCredentials());
 
             projectSelect.innerHTML = '<option value="">No project</option>';
             projects.forEach(project => {
@@ -374,8 +1474,61 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    // One member picker per team in DecisionEngine.roles, plus the issue defaults
+    async function loadRoutingForTeam(teamId) {
+        fillIssueDefaults();
+        issueDefaultsGroup.style.display = 'block';
+
+        try {
+            const members = await LinearIntegration.fetchTeamMembers(teamId, enteredCredentials());
+            const settings = LinearIntegration.getSettings();
+            const routing = teamId === settings.teamId ? settings.routing : {};
+
+            routingList.innerHTML = '';
+            Object.entries(DecisionEngine.roles).forEach(([role, name]) => {
+                const row = document.createElement('div');
+                row.className = 'routing-row';
+                row.innerHTML = `<span>${name}</span>`;
+
+                const select = document.createElement('select');
+                select.dataset.role = role;
+                select.innerHTML = '<option value="">Nobody</option>';
+                members.forEach(member => {
+                    const option = document.createElement('option');
+                    option.value = member.id;
+                    option.textContent = member.displayName || member.name;
+                    select.appendChild(option);
+                });
+                select.value = routing[role] || '';
+
+                row.appendChild(select);
+                routingList.appendChild(row);
+            });
+
+            routingGroup.style.display = 'block';
+        } catch (error) {
+            console.error('Error loading team members:', error);
+            routingGroup.style.display = 'none';
+        }
+    }
+
+    function readRouting() {
+        const routing = {};
+        routingList.querySelectorAll('select[data-role]').forEach(select => {
+            if (select.value) {
+                routing[select.dataset.role] = select.value;
+            }
+        });
+        return routing;
+    }
+
     // Save settings
-    saveBtn.addEventListener('click', function() {
+    saveBtn.addEventListener('click', async function() {
+        if (LinearIntegration.isLocked()) {
+            await unlockApiKey();
+            return;
+        }
+
         const apiKey = apiKeyInput.value.trim();
         const teamId = teamSelect.value;
         const projectId = projectSelect.value;
@@ -386,16 +1539,40 @@ document.addEventListener('DOMContentLoaded', function() {
             return;
         }
 
+        const apiUrl = apiUrlInput.value.trim();
+        if (apiUrl && !/^https?:\/\/\S+$/.test(apiUrl)) {
+            statusDiv.textContent = 'Enter the full endpoint URL, e.g. http://localhost:4000/graphql';
+            statusDiv.className = 'linear-status error';
+            return;
+        }
+
         const selectedTeam = teams.find(t => t.id === teamId);
         const selectedProject = projects.find(p => p.id === projectId);
 
-        LinearIntegration.updateSettings({
-            apiKey: apiKey,
-            teamId: teamId,
-            teamName: selectedTeam ? selectedTeam.name : '',
-            projectId: projectId || '',
-            projectName: selectedProject ? selectedProject.name : ''
-        });
+        try {
+            // Protect (or re-protect with a new passphrase) before saving the key
+            if (protectKeyInput.checked && (passphraseInput.value || !LinearIntegration.isProtected())) {
+                await LinearIntegration.protectApiKey(passphraseInput.value, apiKey);
+            } else if (!protectKeyInput.checked && LinearIntegration.isProtected()) {
+                LinearIntegration.unprotectApiKey();
+            }
+
+            LinearIntegration.updateSettings({
+                apiKey: apiKey,
+                teamId: teamId,
+                teamName: selectedTeam ? selectedTeam.name : '',
+                projectId: projectId || '',
+                projectName: selectedProject ? selectedProject.name : '',
+                routing: readRouting(),
+                issueDefaults: readIssueDefaults(),
+                apiUrl: apiUrl,
+                dryRun: dryRunInput.checked
+            });
+        } catch (error) {
+            statusDiv.textContent = error.message;
+            statusDiv.className = 'linear-status error';
+            return;
+        }
 
         statusDiv.textContent = 'Settings saved!';
         statusDiv.className = 'linear-status success';
@@ -415,6 +1592,8 @@ document.addEventListener('DOMContentLoaded', function() {
         projectSelect.innerHTML = '<option value="">No project</option>';
         teamGroup.style.display = 'none';
         projectGroup.style.display = 'none';
+        routingGroup.style.display = 'none';
+        issueDefaultsGroup.style.display = 'none';
         statusDiv.textContent = '';
         statusDiv.className = 'linear-status';
         updateConnectionDisplay();
@@ -430,9 +1609,17 @@ document.addEventListener('DOMContentLoaded', function() {
     const confirmCreateIssueBtn = document.getElementById('confirmCreateIssue');
     const issueTitleInput = document.getElementById('issueTitle');
     const issuePrioritySelect = document.getElementById('issuePriority');
+    const issueDueDateInput = document.getElementById('issueDueDate');
     const issueAssigneeSelect = document.getElementById('issueAssignee');
     const issueStatusSelect = document.getElementById('issueStatus');
+    const issueSplitStagesInput = document.getElementById('issueSplitStages');
+    const stageIssueOptions = document.getElementById('stageIssueOptions');
     const createIssueStatus = document.getElementById('createIssueStatus');
+    const createIssueHeading = document.getElementById('createIssueHeading');
+    const existingIssueInput = document.getElementById('existingIssue');
+    const existingIssueInfo = document.getElementById('existingIssueInfo');
+    const useFoundIssueBtn = document.getElementById('useFoundIssue');
+    const splitStagesGroup = document.getElementById('splitStagesGroup');
 
     // Close create issue modal
     function closeCreateIssueModal() {
@@ -479,6 +1666,29 @@ document.addEventListener('DOMContentLoaded', function() {
             const newOwner = document.getElementById('newOwnerName')?.value || 'Unknown';
             issueTitleInput.value = `CHOW: ${oldOwner} → ${newOwner}`;
 
+            // Pre-fill priority and due date from the assessment (see Issue Defaults in settings)
+            const plan = window.currentPlan;
+            const acquisitionDate = document.getElementById('acquisitionDate')?.value;
+            issuePrioritySelect.value = LinearIntegration.defaultPriority(plan) || '';
+            issueDueDateInput.value = LinearIntegration.defaultDueDate(
+                [...plan.priorityActions, ...Object.values(plan.checklist).flat()],
+                acquisitionDate
+            );
+
+            // Re-runs update the case's issue instead of creating a duplicate
+            const caseRecord = window.currentCaseId ? await CaseStore.getCase(window.currentCaseId) : null;
+            const linkedIssue = caseRecord && caseRecord.linearIssue;
+            existingIssueInput.value = linkedIssue ? linkedIssue.identifier || linkedIssue.id : '';
+            if (linkedIssue) {
+                existingIssueInfo.textContent = linkedIssue.identifier
+                    ? 'Created from this case - it will be updated'
+                    : 'Created from this case and waiting to reach Linear - the update will follow it';
+            } else {
+                existingIssueInfo.textContent = '';
+            }
+            useFoundIssueBtn.style.display = 'none';
+            updateIssueMode();
+
             // Load team members and workflow states
             const settings = LinearIntegration.getSettings();
 
@@ -513,12 +1723,33 @@ document.addEventListener('DOMContentLoaded', function() {
                     issueStatusSelect.appendChild(option);
                 });
 
+                // Assign to the routed team member (plans saved before routing have none)
+                const routing = window.currentPlan.routing;
+                if (routing) {
+                    issueAssigneeSelect.value = LinearIntegration.routedAssignee(routing.issue);
+                }
+
+                renderStageIssueOptions(members, states);
+
+                // Cases without a stored issue may still have one with the same title - but
+                // a duplicated case or another case for the same owners has that title too,
+                // so it is only offered, and creating stays the default
+                if (!linkedIssue) {
+                    const found = await LinearIntegration.findIssue(issueTitleInput.value);
+                    if (found) {
+                        existingIssueInfo.textContent = `${found.identifier} already has this title - a new issue will be created unless you pick it`;
+                        useFoundIssueBtn.textContent = `Update ${found.identifier} instead`;
+                        useFoundIssueBtn.dataset.identifier = found.identifier;
+                        useFoundIssueBtn.style.display = '';
+                    }
+                }
+
                 createIssueStatus.textContent = '';
                 createIssueStatus.className = 'linear-status';
 
             } catch (error) {
                 console.error('Error loading options:', error);
-                createIssueStatus.textContent = 'Could not load all options';
+                createIssueStatus.textContent = 'Could not load all options: ' + LinearIntegration.describeError(error);
                 createIssueStatus.className = 'linear-status error';
             }
 
@@ -527,6 +1758,165 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
+    // Per-stage assignee and status pickers, one row per non-empty stage
+    function renderStageIssueOptions(members, states) {
+        stageIssueOptions.innerHTML = '';
+
+        Object.entries(window.stageMarkdown || {}).forEach(([stage, markdown]) => {
+            if (!markdown) return;
+
+            const row = document.createElement('div');
+            row.className = 'stage-issue-row';
+            row.dataset.stage = stage;
+
+            const role = window.currentPlan.routing ? window.currentPlan.routing.stages[stage] : null;
+            const dueDate = LinearIntegration.defaultDueDate(
+                window.currentPlan.checklist[stage],
+                document.getElementById('acquisitionDate')?.value
+            );
+            const roleName = role ? ` · ${DecisionEngine.roles[role]}` : '';
+
+            row.innerHTML = `
+                <h4>${markdown.split('\n')[0].replace(/^#+\s*/, '')}${roleName}</h4>
+                <div class="form-row">
+                    <select data-field="assigneeId" aria-label="Assignee">
+                        <option value="">Same as parent</option>
+                    </select>
+                    <select data-field="stateId" aria-label="Status">
+                        <option value="">Same as parent</option>
+                    </select>
+                    <input type="date" data-field="dueDate" aria-label="Due date" value="${dueDate}">
+                </div>
+            `;
+
+            const assigneeSelect = row.querySelector('select[data-field="assigneeId"]');
+            members.forEach(member => {
+                const option = document.createElement('option');
+                option.value = member.id;
+                option.textContent = member.displayName || member.name;
+                assigneeSelect.appendChild(option);
+            });
+            const stateSelect = row.querySelector('select[data-field="stateId"]');
+            states.forEach(state => {
+                const option = document.createElement('option');
+                option.value = state.id;
+                option.textContent = state.name;
+                stateSelect.appendChild(option);
+            });
+
+            if (role) {
+                assigneeSelect.value = LinearIntegration.routedAssignee(role);
+            }
+            stageIssueOptions.appendChild(row);
+        });
+    }
+
+    // Only set values override the parent's assignee, status and due date
+    function readStageIssueOptions() {
+        const stages = {};
+        stageIssueOptions.querySelectorAll('.stage-issue-row').forEach(row => {
+            const stageOptions = {};
+            row.querySelectorAll('[data-field]').forEach(field => {
+                if (field.value) {
+                    stageOptions[field.dataset.field] = field.value;
+                }
+            });
+            stages[row.dataset.stage] = stageOptions;
+        });
+        return stages;
+    }
+
+    // Switch the modal between creating a new issue and updating an existing one
+    function updateIssueMode() {
+        const updating = Boolean(existingIssueInput.value.trim());
+        createIssueHeading.textContent = updating ? 'Update Linear Issue' : 'Create Linear Issue';
+        confirmCreateIssueBtn.textContent = updating ? 'Update Issue' : 'Create Issue';
+        splitStagesGroup.style.display = updating ? 'none' : 'block';
+        stageIssueOptions.style.display = !updating && issueSplitStagesInput.checked ? 'block' : 'none';
+    }
+
+    existingIssueInput.addEventListener('input', function() {
+        existingIssueInfo.textContent = '';
+        useFoundIssueBtn.style.display = 'none';
+        updateIssueMode();
+    });
+
+    // Pick the issue found by title (see the create modal) as the one to update
+    useFoundIssueBtn.addEventListener('click', function() {
+        existingIssueInput.value = useFoundIssueBtn.dataset.identifier;
+        existingIssueInfo.textContent = `${useFoundIssueBtn.dataset.identifier} will be updated`;
+        useFoundIssueBtn.style.display = 'none';
+        updateIssueMode();
+    });
+
+    // Replace the issue's description with the current plan and comment on what changed
+    async function updateExistingIssue(search, title, options) {
+        const caseRecord = window.currentCaseId ? await CaseStore.getCase(window.currentCaseId) : null;
+        const stored = caseRecord && caseRecord.linearIssue;
+        // A case issue still in the outbox has no identifier yet, just its id
+        const isStored = stored && [stored.identifier, stored.id].some(key => key && key.toUpperCase() === search.toUpperCase());
+
+        const target = isStored ? stored : await LinearIntegration.findIssue(search);
+        if (!target) {
+            throw new Error(`No Linear issue found for "${search}"`);
+        }
+
+        const { labelNames, stageLabelNames, ...changes } = options;
+        const issue = await LinearIntegration.updateIssue(target.id, {
+            title,
+            description: window.currentLinearMarkdown,
+            ...changes,
+            labelNames
+        });
+
+        // Keep stage sub-issues in step with their stage - an issue found by search
+        // brings the sub-issues it already has in Linear
+        const previousChildren = isStored
+            ? stored.children || []
+            : importedLink(await LinearIntegration.fetchIssueWithChildren(target.id)).children || [];
+        const children = [];
+        for (const child of previousChildren) {
+            if (window.stageMarkdown[child.stage]) {
+                await LinearIntegration.updateIssue(child.id, {
+                    description: window.stageMarkdown[child.stage],
+                    labelNames: stageLabelNames && stageLabelNames[child.stage]
+                });
+                children.push(child);
+            } else {
+                // The stage has no tasks left - say so, and stop syncing from it
+                await LinearIntegration.createComment(child.id, '**CHOW plan re-assessed**\n\nThis stage no longer has any tasks - see the parent issue for the current plan.\n');
+            }
+        }
+
+        // Stages that gained tasks get a sub-issue of their own, if the issue was split by stage
+        if (previousChildren.length > 0) {
+            for (const [stage, markdown] of Object.entries(window.stageMarkdown)) {
+                if (!markdown || children.some(child => child.stage === stage)) continue;
+
+                const stageTitle = markdown.split('\n')[0].replace(/^#+\s*/, '');
+                const created = await LinearIntegration.createIssue(`${title} — ${stageTitle}`, markdown, {
+                    ...changes,
+                    parentId: target.id,
+                    labelNames: stageLabelNames && stageLabelNames[stage]
+                });
+                children.push({ stage, ...created });
+            }
+        }
+
+        // Without the plan last sent, there is nothing to diff against
+        const comment = isStored && stored.syncedPlan
+            ? DecisionEngine.formatPlanChanges(DecisionEngine.diffPlans(stored.syncedPlan, window.currentPlan))
+            : `**CHOW plan re-assessed**\n\n- Risk: ${window.currentPlan.risk.level.toUpperCase()}\n`;
+        await LinearIntegration.createComment(issue.id, comment);
+
+        // A queued update keeps the link we already have
+        return issue.queued ? { ...target, queued: true, children } : { ...issue, children };
+    }
+
+    issueSplitStagesInput.addEventListener('change', function() {
+        stageIssueOptions.style.display = issueSplitStagesInput.checked ? 'block' : 'none';
+    });
+
     // Confirm create issue
     if (confirmCreateIssueBtn) {
         confirmCreateIssueBtn.addEventListener('click', async function() {
@@ -537,7 +1927,8 @@ document.addEventListener('DOMContentLoaded', function() {
                 return;
             }
 
-            confirmCreateIssueBtn.textContent = 'Creating...';
+            const existingIssue = existingIssueInput.value.trim();
+            confirmCreateIssueBtn.textContent = existingIssue ? 'Updating...' : 'Creating...';
             confirmCreateIssueBtn.disabled = true;
 
             try {
@@ -552,18 +1943,52 @@ document.addEventListener('DOMContentLoaded', function() {
                 if (issueStatusSelect.value) {
                     options.stateId = issueStatusSelect.value;
                 }
+                if (issueDueDateInput.value) {
+                    options.dueDate = issueDueDateInput.value;
+                }
+                if (window.currentPlan.linearLabels) {
+                    options.labelNames = window.currentPlan.linearLabels.issue;
+                    options.stageLabelNames = window.currentPlan.linearLabels.stages;
+                }
 
-                const issue = await LinearIntegration.createIssue(
-                    title,
-                    window.currentLinearMarkdown,
-                    options
-                );
+                let issue;
+                if (existingIssue) {
+                    issue = await updateExistingIssue(existingIssue, title, options);
+                } else if (issueSplitStagesInput.checked) {
+                    options.stages = readStageIssueOptions();
+                    issue = await LinearIntegration.createIssueWithStages(
+                        title,
+                        window.currentLinearMarkdown,
+                        window.stageMarkdown,
+                        options
+                    );
+                } else {
+                    issue = await LinearIntegration.createIssue(
+                        title,
+                        window.currentLinearMarkdown,
+                        options
+                    );
+                }
 
                 closeCreateIssueModal();
 
+                // Dry runs leave the case alone - show what would have gone out instead
+                if (issue.dryRun) {
+                    openDryRunLog();
+                    return;
+                }
+
+                // Remember the issue and the plan sent to it on the open case
+                if (window.currentCaseId) {
+                    const caseId = window.currentCaseId;
+                    const { queued: _queued, ...linked } = issue;
+                    const linearIssue = { ...linked, syncedPlan: window.currentPlan, syncedAt: Date.now() };
+                    updateCaseLink(() => CaseStore.updateCase(caseId, { linearIssue }));
+                }
+
                 // Update the + Linear button
                 const createLinearBtn = document.getElementById('createLinearIssue');
-                createLinearBtn.textContent = 'Created!';
+                createLinearBtn.textContent = issue.queued ? 'Queued' : existingIssue ? 'Updated!' : 'Created!';
                 createLinearBtn.classList.add('created');
                 setTimeout(() => {
                     createLinearBtn.textContent = '+ Linear';
@@ -572,20 +1997,424 @@ document.addEventListener('DOMContentLoaded', function() {
 
                 // Show toast with link
                 const toast = document.getElementById('toast');
-                toast.innerHTML = `Created: <a href="${issue.url}" target="_blank">${issue.identifier}</a>`;
+                const subIssueCount = issue.children && issue.children.length > 0 ? ` + ${issue.children.length} sub-issues` : '';
+                const verb = existingIssue ? 'Updated' : 'Created';
+                if (issue.queued) {
+                    toast.textContent = `Linear is unreachable - ${existingIssue ? 'update' : 'issue'} queued and will be sent when the connection is back`;
+                } else {
+                    toast.innerHTML = `${verb}: <a href="${issue.url}" target="_blank">${issue.identifier}</a>${subIssueCount}`;
+                }
                 toast.classList.add('show');
                 setTimeout(() => {
                     toast.classList.remove('show');
                 }, 4000);
 
             } catch (error) {
-                console.error('Error creating issue:', error);
-                createIssueStatus.textContent = 'Error: ' + error.message;
+                console.error('Error sending issue to Linear:', error);
+                createIssueStatus.textContent = 'Error: ' + LinearIntegration.describeError(error);
                 createIssueStatus.className = 'linear-status error';
             } finally {
-                confirmCreateIssueBtn.textContent = 'Create Issue';
                 confirmCreateIssueBtn.disabled = false;
+                updateIssueMode();
+            }
+        });
+    }
+
+    // Sync checklist state from Linear
+    const syncFromLinearBtn = document.getElementById('syncFromLinear');
+    const syncConflictModal = document.getElementById('syncConflictModal');
+    const syncConflictList = document.getElementById('syncConflictList');
+    const applySyncConflictsBtn = document.getElementById('applySyncConflicts');
+
+    let pendingConflicts = [];
+
+    function showToast(html, duration = 3000) {
+        const toast = document.getElementById('toast');
+        toast.innerHTML = html;
+        toast.classList.add('show');
+        setTimeout(() => toast.classList.remove('show'), duration);
+    }
+
+    function describeCompleted(completed) {
+        return completed ? 'Done' : 'Not done';
+    }
+
+    // Progress entries for tasks taking their Linear state
+    function linearProgressEntries(items) {
+        const at = Date.now();
+        const entries = {};
+        items.forEach(({ task, completed }) => {
+            entries[task.id] = { completed, by: 'Linear', at };
+        });
+        return entries;
+    }
+
+    // Record what Linear now says, so the next sync only flags newer local edits
+    async function saveLinearBase(linearIssue, remote) {
+        const basePlan = linearIssue.syncedPlan || window.currentPlan;
+        const remoteEntries = {};
+        Object.entries(remote).forEach(([taskId, completed]) => {
+            remoteEntries[taskId] = { completed, by: 'Linear', at: Date.now() };
+        });
+
+        await CaseStore.updateCase(window.currentCaseId, {
+            linearIssue: {
+                ...linearIssue,
+                syncedPlan: { ...basePlan, checklist: DecisionEngine.applyProgress(basePlan.checklist, remoteEntries) }
+            }
+        });
+    }
+
+    function showConflicts(conflicts) {
+        pendingConflicts = conflicts;
+        syncConflictList.innerHTML = '';
+
+        conflicts.forEach(({ task, local, remote }, i) => {
+            const li = document.createElement('li');
+            li.innerHTML = `
+                <label class="conflict-choice">
+                    <input type="radio" name="conflict-${i}" value="app" checked> App: ${describeCompleted(local)}
+                </label>
+                <label class="conflict-choice">
+                    <input type="radio" name="conflict-${i}" value="linear"> Linear: ${describeCompleted(remote)}
+                </label>
+            `;
+            const taskText = document.createElement('div');
+            taskText.className = 'conflict-task';
+            taskText.textContent = task.text;
+            li.prepend(taskText);
+            syncConflictList.appendChild(li);
+        });
+
+        syncConflictModal.classList.add('show');
+    }
+
+    function closeConflicts() {
+        pendingConflicts = [];
+        syncConflictModal.classList.remove('show');
+    }
+
+    if (syncFromLinearBtn) {
+        syncFromLinearBtn.addEventListener('click', async function() {
+            if (!LinearIntegration.isConnected()) {
+                modal.classList.add('show');
+                return;
+            }
+            if (!window.currentPlan || !window.currentCaseId) {
+                showToast('Generate an action plan first', 2000);
+                return;
+            }
+
+            const caseRecord = await CaseStore.getCase(window.currentCaseId);
+            const linearIssue = caseRecord && caseRecord.linearIssue;
+            if (!linearIssue) {
+                showToast('Send this case to Linear first', 2000);
+                return;
+            }
+            if (!linearIssue.identifier) {
+                showToast('This case\'s issue is still waiting to be sent to Linear', 2000);
+                return;
+            }
+
+            syncFromLinearBtn.disabled = true;
+            syncFromLinearBtn.textContent = 'Syncing...';
+
+            try {
+                // Stage sub-issues are read after the parent, so their checkboxes win
+                const issue = await LinearIntegration.fetchIssueWithChildren(linearIssue.id);
+                const checklist = window.currentPlan.checklist;
+                const remote = [issue, ...issue.children].reduce((states, source) => ({
+                    ...states,
+                    ...DecisionEngine.parseLinearChecklist(source.description || '', checklist)
+                }), {});
+
+                const { changes, conflicts } = DecisionEngine.mergeLinearProgress({
+                    checklist,
+                    progress: window.getChecklistProgress(),
+                    remote,
+                    baseChecklist: linearIssue.syncedPlan ? linearIssue.syncedPlan.checklist : null,
+                    syncedAt: linearIssue.syncedAt
+                });
+
+                if (changes.length > 0) {
+                    await window.updateChecklistProgress(linearProgressEntries(changes));
+                }
+                await saveLinearBase(linearIssue, remote);
+
+                if (conflicts.length > 0) {
+                    showConflicts(conflicts);
+                } else if (changes.length > 0) {
+                    showToast(`Synced from <a href="${issue.url}" target="_blank">${issue.identifier}</a>: ${changes.length} task${changes.length === 1 ? '' : 's'} updated`);
+                } else {
+                    showToast(`Checklist already matches <a href="${issue.url}" target="_blank">${issue.identifier}</a>`);
+                }
+            } catch (error) {
+                console.error('Error syncing from Linear:', error);
+                showToast('Sync failed: ' + LinearIntegration.describeError(error));
+            } finally {
+                syncFromLinearBtn.disabled = false;
+                syncFromLinearBtn.textContent = 'Sync from Linear';
             }
         });
     }
+
+    // Apply the Linear side of any conflict the user picked it for
+    applySyncConflictsBtn.addEventListener('click', async function() {
+        const total = pendingConflicts.length;
+        const chosen = pendingConflicts.filter((conflict, i) =>
+            syncConflictList.querySelector(`input[name="conflict-${i}"]:checked`).value === 'linear');
+
+        closeConflicts();
+
+        if (chosen.length > 0) {
+            await window.updateChecklistProgress(
+                linearProgressEntries(chosen.map(({ task, remote }) => ({ task, completed: remote })))
+            );
+        }
+        showToast(`Kept ${chosen.length} from Linear, ${total - chosen.length} from the app`);
+    });
+
+    document.getElementById('closeSyncConflicts').addEventListener('click', closeConflicts);
+    document.getElementById('cancelSyncConflicts').addEventListener('click', closeConflicts);
+    syncConflictModal.addEventListener('click', function(e) {
+        if (e.target === syncConflictModal) {
+            closeConflicts();
+        }
+    });
+
+    // Pending sync indicator and the outbox's effect on cases
+    const outboxStatus = document.getElementById('linearOutboxStatus');
+
+    // Case link writes run one at a time, so a parent and its sub-issues
+    // arriving together don't overwrite each other
+    let caseLinkUpdates = Promise.resolve();
+    function updateCaseLink(update) {
+        caseLinkUpdates = caseLinkUpdates
+            .then(update)
+            .catch(err => console.error('Error saving Linear issue to case:', err));
+        return caseLinkUpdates;
+    }
+
+    function describeEntry(entry) {
+        if (entry.type === 'issueCreate') return `"${entry.input.title}"`;
+        if (entry.type === 'commentCreate') return 'a plan change comment';
+        return 'an issue update';
+    }
+
+    function renderOutboxStatus(outbox) {
+        outboxStatus.style.display = outbox.length > 0 ? 'inline-flex' : 'none';
+        outboxStatus.textContent = `${outbox.length} pending sync`;
+
+        const lastError = outbox.map(entry => entry.lastError).filter(Boolean).pop();
+        outboxStatus.title = outbox.map(entry => `Waiting: ${describeEntry(entry)}`).join('\n')
+            + (lastError ? `\nLast error: ${lastError}` : '')
+            + '\nClick to retry now';
+    }
+
+    // Fill in the identifier and URL once a queued issue reaches Linear
+    async function linkCreatedIssue(issue) {
+        const cases = await CaseStore.listCases({ includeArchived: true });
+        const match = cases.find(c => c.linearIssue && (c.linearIssue.id === issue.id ||
+            (c.linearIssue.children || []).some(child => child.id === issue.id)));
+        if (!match) return;
+
+        const fill = linked => linked.id === issue.id ? { ...linked, identifier: issue.identifier, url: issue.url } : linked;
+        const linearIssue = fill(match.linearIssue);
+        if (linearIssue.children) {
+            linearIssue.children = linearIssue.children.map(fill);
+        }
+        await CaseStore.updateCase(match.id, { linearIssue });
+    }
+
+    LinearIntegration.onOutboxChange(function({ outbox, entry, result, error }) {
+        renderOutboxStatus(outbox);
+
+        if (error) {
+            showToast(`Linear didn't accept ${describeEntry(entry)}: ${LinearIntegration.describeError(error)}`, 5000);
+        } else if (result && entry.type === 'issueCreate') {
+            updateCaseLink(() => linkCreatedIssue(result));
+        }
+        if (result && outbox.length === 0) {
+            showToast('Queued changes sent to Linear');
+        }
+    });
+
+    outboxStatus.addEventListener('click', async function() {
+        if (LinearIntegration.isLocked()) {
+            modal.classList.add('show');
+            updateConnectionDisplay();
+            showToast('Unlock your Linear API key to send queued changes');
+            return;
+        }
+
+        const remaining = await LinearIntegration.flushOutbox();
+        if (remaining > 0) {
+            showToast(`Linear still unreachable - ${remaining} change${remaining === 1 ? '' : 's'} waiting`);
+        }
+    });
+
+    renderOutboxStatus(LinearIntegration.getOutbox());
+    LinearIntegration.flushOutbox();
+
+    // Dry-run indicator and request log
+    const dryRunModal = document.getElementById('dryRunModal');
+    const dryRunLogList = document.getElementById('dryRunLog');
+
+    function renderDryRunStatus() {
+        const count = LinearIntegration.getDryRunLog().length;
+        dryRunStatus.style.display = LinearIntegration.getSettings().dryRun ? 'inline-flex' : 'none';
+        dryRunStatus.textContent = `Dry run · ${count} request${count === 1 ? '' : 's'}`;
+    }
+
+    function renderDryRunLog(log) {
+        dryRunLogList.innerHTML = '';
+        if (log.length === 0) {
+            dryRunLogList.innerHTML = '<li>Nothing recorded yet.</li>';
+            return;
+        }
+
+        log.forEach(request => {
+            const li = document.createElement('li');
+            const heading = document.createElement('div');
+            heading.className = request.sent ? 'dry-run-request' : 'dry-run-request not-sent';
+            heading.textContent = `${new Date(request.at).toLocaleTimeString()} · ${request.sent ? 'Sent to' : 'Not sent to'} ${request.endpoint}`;
+
+            const query = document.createElement('pre');
+            query.textContent = request.query;
+            const variables = document.createElement('pre');
+            variables.textContent = JSON.stringify(request.variables, null, 2);
+
+            li.append(heading, query, variables);
+            dryRunLogList.appendChild(li);
+        });
+    }
+
+    function openDryRunLog() {
+        renderDryRunLog(LinearIntegration.getDryRunLog());
+        dryRunModal.classList.add('show');
+    }
+
+    function closeDryRunLog() {
+        dryRunModal.classList.remove('show');
+    }
+
+    LinearIntegration.onDryRunRecord(function(log) {
+        renderDryRunStatus();
+        if (dryRunModal.classList.contains('show')) {
+            renderDryRunLog(log);
+        }
+    });
+
+    dryRunStatus.addEventListener('click', openDryRunLog);
+    document.getElementById('closeDryRun').addEventListener('click', closeDryRunLog);
+    document.getElementById('doneDryRun').addEventListener('click', closeDryRunLog);
+    document.getElementById('clearDryRun').addEventListener('click', function() {
+        LinearIntegration.clearDryRunLog();
+    });
+    dryRunModal.addEventListener('click', function(e) {
+        if (e.target === dryRunModal) {
+            closeDryRunLog();
+        }
+    });
+
+    // Import a case from an existing issue
+    const importLinearBtn = document.getElementById('importLinearBtn');
+    const importLinearModal = document.getElementById('importLinearModal');
+    const importIssueInput = document.getElementById('importIssueId');
+    const importLinearStatus = document.getElementById('importLinearStatus');
+    const confirmImportLinearBtn = document.getElementById('confirmImportLinear');
+
+    function closeImportLinear() {
+        importLinearModal.classList.remove('show');
+        importLinearStatus.className = 'linear-status';
+    }
+
+    // The case link for an issue and the stage sub-issues created with it
+    function importedLink(issue) {
+        const children = issue.children
+            .map(child => {
+                const match = (child.description || '').match(/^## Stage (\d)/);
+                return match ? { stage: `stage${match[1]}`, id: child.id, identifier: child.identifier, url: child.url } : null;
+            })
+            .filter(Boolean);
+
+        const link = { id: issue.id, identifier: issue.identifier, url: issue.url };
+        if (children.length > 0) {
+            link.children = children;
+        }
+        return link;
+    }
+
+    importLinearBtn.addEventListener('click', function() {
+        if (!LinearIntegration.isConnected()) {
+            modal.classList.add('show');
+            updateConnectionDisplay();
+            return;
+        }
+
+        importIssueInput.value = '';
+        importLinearStatus.className = 'linear-status';
+        importLinearModal.classList.add('show');
+        importIssueInput.focus();
+    });
+
+    confirmImportLinearBtn.addEventListener('click', async function() {
+        const search = importIssueInput.value.trim();
+        if (!/^[A-Z][A-Z0-9]*-\d+$/i.test(search)) {
+            importLinearStatus.className = 'linear-status error';
+            importLinearStatus.textContent = 'Enter an issue identifier, e.g. CHOW-12';
+            return;
+        }
+
+        confirmImportLinearBtn.disabled = true;
+        importLinearStatus.className = 'linear-status loading';
+        importLinearStatus.textContent = 'Fetching issue...';
+
+        try {
+            const found = await LinearIntegration.findIssue(search);
+            if (!found) {
+                throw new Error(`No issue ${search.toUpperCase()} in Linear`);
+            }
+
+            const cases = await CaseStore.listCases({ includeArchived: true });
+            const linked = cases.find(c => c.linearIssue && c.linearIssue.id === found.id);
+            if (linked) {
+                throw new Error(`${found.identifier} is already linked to the case ${linked.inputs.oldOwnerName} → ${linked.inputs.newOwnerName}`);
+            }
+
+            const issue = await LinearIntegration.fetchIssueWithChildren(found.id);
+            const parsed = DecisionEngine.parseLinearDetails(issue.description || '');
+            if (!parsed) {
+                throw new Error(`${issue.identifier} has no CHOW Details section - was it created with this tool?`);
+            }
+
+            closeImportLinear();
+            window.importCase(parsed.inputs, {
+                missing: parsed.missing,
+                sources: [issue, ...issue.children].map(source => source.description || ''),
+                linearIssue: importedLink(issue)
+            });
+            showToast(`Imported <a href="${issue.url}" target="_blank">${issue.identifier}</a> - review the form and generate the plan`);
+        } catch (error) {
+            console.error('Error importing from Linear:', error);
+            importLinearStatus.className = 'linear-status error';
+            importLinearStatus.textContent = 'Import failed: ' + LinearIntegration.describeError(error);
+        } finally {
+            confirmImportLinearBtn.disabled = false;
+        }
+    });
+
+    importIssueInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            confirmImportLinearBtn.click();
+        }
+    });
+
+    document.getElementById('closeImportLinear').addEventListener('click', closeImportLinear);
+    document.getElementById('cancelImportLinear').addEventListener('click', closeImportLinear);
+    importLinearModal.addEventListener('click', function(e) {
+        if (e.target === importLinearModal) {
+            closeImportLinear();
+        }
+    });
 });
@@ -0,0 +1,382 @@
+/**
+ * Scenario Explorer - every combination of the enumerated inputs, run
+ * through DecisionEngine.process for SOP review
+ *
+ * AR and future booked shifts are varied together as one exposure input -
+ * the yes/no answers plus dollar amounts either side of the exposure
+ * thresholds, the same as ConsistencyChecker.exposures. Each scenario:
+ * {
+ *   inputs: { saleType, contractSigned, exposure, ..., timing },
+ *   level, ruleId, keyFocus, actions: [text], actionSet (actions joined), alerts: [text]
+ * }
+ */
+
+const ScenarioExplorer = (function() {
+    // Varied inputs, in column order - values come from DecisionEngine.inputOptions
+    const FIELDS = [
+        'saleType', 'contractSigned', 'exposure',
+        'financialDistress', 'willingnessToPay', 'blacklisted', 'badDebt'
+    ];
+    const EXPOSURES = ConsistencyChecker.exposures; // AR and FBS together, in place of their own inputs
+
+    const TIMINGS = { past: 'Past', future: 'Future' };
+    const TIMING_OFFSET_DAYS = 30; // Acquisition date this far either side of today
+
+    /**
+     * The varied dimensions: [{ field, label, values: { value: label } }]
+     */
+    function dimensions() {
+        const exposureLabels = {};
+        Object.entries(EXPOSURES).forEach(([value, { label }]) => {
+            exposureLabels[value] = label;
+        });
+
+        return [
+            ...FIELDS.map(field => field === 'exposure'
+                ? { field, label: 'Exposure', values: exposureLabels }
+                : { field, label: DecisionEngine.inputOptions[field].label, values: DecisionEngine.inputOptions[field].values }),
+            { field: 'timing', label: 'Timing', values: TIMINGS }
+        ];
+    }
+
+    // Every combination of the dimensions' values, as { field: value }
+    function combinations() {
+        return dimensions().reduce((combos, { field, values }) =>
+            combos.flatMap(combo => Object.keys(values).map(value => ({ ...combo, [field]: value }))), [{}]);
+    }
+
+    /**
+     * Run every combination through the engine
+     *
+     * options.preliminaryOutreach: held fixed for every scenario (default 'yes')
+     * options.today:               date timing is measured from (default today)
+     */
+    function runScenarios(options = {}) {
+        const today = DecisionEngine.startOfDay(options.today || DecisionEngine.today());
+        const dates = {
+            past: DecisionEngine.formatDate(DecisionEngine.addDays(today, -TIMING_OFFSET_DAYS)),
+            future: DecisionEngine.formatDate(DecisionEngine.addDays(today, TIMING_OFFSET_DAYS))
+        };
+
+        return combinations().map(combo => {
+            const { exposure, timing, ...answers } = combo;
+            const result = DecisionEngine.process({
+                oldOwnerName: 'Old Owner',
+                newOwnerName: 'New Owner',
+                affectedFacilities: 'Facility',
+                newFacilityNames: '',
+                newOwnerContact: '',
+                preliminaryOutreach: options.preliminaryOutreach || 'yes',
+                acquisitionDate: dates[timing],
+                ...answers,
+                ...EXPOSURES[exposure].inputs
+            }, { clock: today });
+
+            const actions = result.priorityActions.map(action => action.text);
+            return {
+                inputs: combo,
+                level: result.risk.level,
+                ruleId: result.risk.ruleId,
+                keyFocus: result.keyFocus,
+                actions,
+                actionSet: actions.join(' | '),
+                alerts: result.alerts.map(alert => alert.text)
+            };
+        });
+    }
+
+    // A scenario's value for an input field, 'level', 'keyFocus', 'actionSet' or 'ruleId'
+    function groupKey(scenario, groupBy) {
+        return groupBy in scenario.inputs ? scenario.inputs[groupBy] : scenario[groupBy];
+    }
+
+    /**
+     * Group scenarios by one of their values (see groupKey)
+     *
+     * Returns: Array of { key, count, levels: { low, medium, high } }, largest group first
+     */
+    function pivot(scenarios, groupBy) {
+        const groups = new Map();
+        scenarios.forEach(scenario => {
+            const key = groupKey(scenario, groupBy);
+            if (!groups.has(key)) {
+                groups.set(key, { key, count: 0, levels: { low: 0, medium: 0, high: 0 } });
+            }
+            const group = groups.get(key);
+            group.count++;
+            group.levels[scenario.level]++;
+        });
+        return [...groups.values()].sort((a, b) => b.count - a.count);
+    }
+
+    // Quote a CSV field per RFC 4180
+    function csvField(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build a CSV of scenarios, one row each, with input values as their labels
+     */
+    function toCSV(scenarios) {
+        const dims = dimensions();
+        const header = [
+            ...dims.map(dim => dim.label),
+            'Risk Level', 'Rule', 'Key Focus', 'Priority Actions', 'Alerts'
+        ];
+        const rows = scenarios.map(scenario => [
+            ...dims.map(dim => dim.values[scenario.inputs[dim.field]]),
+            scenario.level.toUpperCase(),
+            scenario.ruleId,
+            scenario.keyFocus,
+            scenario.actions.join('\n'),
+            scenario.alerts.join('\n')
+        ]);
+        return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // Save the CSV as a file download
+    function downloadCSV(scenarios) {
+        const ruleset = DecisionEngine.ruleset;
+        const blob = new Blob([toCSV(scenarios)], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `chow-scenarios-v${ruleset.version}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    return {
+        dimensions,
+        runScenarios,
+        groupKey,
+        pivot,
+        toCSV,
+        downloadCSV
+    };
+})();
+
+// UI Controller for the explorer page
+document.addEventListener('DOMContentLoaded', function() {
+    const PAGE_SIZE = 200;
+
+    const filterFields = document.getElementById('scenarioFilters');
+    const outreachSelect = document.getElementById('scenarioOutreach');
+    const levelSelect = document.getElementById('scenarioLevel');
+    const searchInput = document.getElementById('scenarioSearch');
+    const groupBySelect = document.getElementById('scenarioGroupBy');
+    const pivotBody = document.getElementById('pivotRows');
+    const tableHead = document.getElementById('scenarioHead');
+    const tableBody = document.getElementById('scenarioRows');
+    const summary = document.getElementById('scenarioSummary');
+    const showMoreBtn = document.getElementById('showMoreScenarios');
+
+    const dims = ScenarioExplorer.dimensions();
+
+    let scenarios = [];
+    let filtered = [];
+    let pivotFilter = null; // { groupBy, key } picked from the pivot table
+    let shown = PAGE_SIZE;
+
+    document.getElementById('scenarioRuleset').textContent = DecisionEngine.describeRuleset(DecisionEngine.ruleset);
+
+    // One "Any" select per varied input
+    dims.forEach(dim => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        group.innerHTML = `<label for="filter-${dim.field}"></label><select id="filter-${dim.field}" data-field="${dim.field}"></select>`;
+        group.querySelector('label').textContent = dim.label;
+
+        const select = group.querySelector('select');
+        select.innerHTML = '<option value="">Any</option>';
+        Object.entries(dim.values).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        filterFields.appendChild(group);
+
+        const option = document.createElement('option');
+        option.value = dim.field;
+        option.textContent = dim.label;
+        groupBySelect.appendChild(option);
+    });
+
+    tableHead.innerHTML = '';
+    [...dims.map(dim => dim.label), 'Risk', 'Rule', 'Key Focus', 'Priority Actions'].forEach(label => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        tableHead.appendChild(th);
+    });
+
+    // Show an input value by its label, other groups as-is
+    function describeKey(groupBy, key) {
+        const dim = dims.find(d => d.field === groupBy);
+        if (dim) return dim.values[key];
+        if (groupBy === 'level') return key.toUpperCase();
+        return key || '(none)';
+    }
+
+    function applyFilters() {
+        const picked = {};
+        filterFields.querySelectorAll('select[data-field]').forEach(select => {
+            if (select.value) picked[select.dataset.field] = select.value;
+        });
+        const level = levelSelect.value;
+        const search = searchInput.value.trim().toLowerCase();
+
+        filtered = scenarios.filter(scenario =>
+            Object.entries(picked).every(([field, value]) => scenario.inputs[field] === value) &&
+            (!level || scenario.level === level) &&
+            (!search || `${scenario.keyFocus}\n${scenario.actionSet}\n${scenario.ruleId}`.toLowerCase().includes(search)) &&
+            (!pivotFilter || ScenarioExplorer.groupKey(scenario, pivotFilter.groupBy) === pivotFilter.key));
+
+        shown = PAGE_SIZE;
+        renderPivot();
+        renderTable();
+    }
+
+    function renderPivot() {
+        const groupBy = groupBySelect.value;
+        pivotBody.innerHTML = '';
+
+        ScenarioExplorer.pivot(filtered, groupBy).forEach(group => {
+            const tr = document.createElement('tr');
+            if (pivotFilter && pivotFilter.groupBy === groupBy && pivotFilter.key === group.key) {
+                tr.classList.add('active');
+            }
+
+            const keyCell = document.createElement('td');
+            keyCell.className = 'pivot-key';
+            keyCell.textContent = describeKey(groupBy, group.key);
+            tr.appendChild(keyCell);
+
+            [group.count, group.levels.high, group.levels.medium, group.levels.low].forEach(count => {
+                const td = document.createElement('td');
+                td.className = 'pivot-count';
+                td.textContent = count || '';
+                tr.appendChild(td);
+            });
+
+            // Clicking a group narrows the table to it, clicking again clears it
+            tr.addEventListener('click', function() {
+                const same = pivotFilter && pivotFilter.groupBy === groupBy && pivotFilter.key === group.key;
+                pivotFilter = same ? null : { groupBy, key: group.key };
+                applyFilters();
+            });
+            pivotBody.appendChild(tr);
+        });
+    }
+
+    function renderTable() {
+        tableBody.innerHTML = '';
+
+        filtered.slice(0, shown).forEach(scenario => {
+            const tr = document.createElement('tr');
+            dims.forEach(dim => {
+                const td = document.createElement('td');
+                td.textContent = dim.values[scenario.inputs[dim.field]];
+                tr.appendChild(td);
+            });
+
+            const level = document.createElement('td');
+            level.innerHTML = `<span class="case-risk ${scenario.level}">${scenario.level}</span>`;
+            const rule = document.createElement('td');
+            rule.className = 'scenario-rule';
+            rule.textContent = scenario.ruleId;
+            const keyFocus = document.createElement('td');
+            keyFocus.textContent = scenario.keyFocus;
+            const actions = document.createElement('td');
+            const list = document.createElement('ol');
+            scenario.actions.forEach(text => {
+                const li = document.createElement('li');
+                li.textContent = text;
+                list.appendChild(li);
+            });
+            actions.appendChild(list);
+
+            tr.append(level, rule, keyFocus, actions);
+            tableBody.appendChild(tr);
+        });
+
+        const pivotNote = pivotFilter ? ` · ${describeKey(pivotFilter.groupBy, pivotFilter.key)} only` : '';
+        summary.textContent = `${filtered.length} of ${scenarios.length} scenarios${pivotNote}`;
+        showMoreBtn.style.display = filtered.length > shown ? '' : 'none';
+    }
+
+    function run() {
+        summary.textContent = 'Running scenarios...';
+        // Let the message paint before the engine runs
+        setTimeout(() => {
+            scenarios = ScenarioExplorer.runScenarios({ preliminaryOutreach: outreachSelect.value });
+            applyFilters();
+        }, 0);
+    }
+
+    filterFields.addEventListener('change', applyFilters);
+    levelSelect.addEventListener('change', applyFilters);
+    searchInput.addEventListener('input', applyFilters);
+    outreachSelect.addEventListener('change', run);
+
+    groupBySelect.addEventListener('change', function() {
+        pivotFilter = null;
+        applyFilters();
+    });
+
+    showMoreBtn.addEventListener('click', function() {
+        shown += PAGE_SIZE;
+        renderTable();
+    });
+
+    document.getElementById('exportScenarios').addEventListener('click', function() {
+        ScenarioExplorer.downloadCSV(filtered);
+    });
+
+    // ===================
+    // Consistency check
+    // ===================
+
+    const consistencySummary = document.getElementById('consistencySummary');
+    const consistencyFindings = document.getElementById('consistencyFindings');
+
+    function renderConsistencyReport(report) {
+        const { counts } = report;
+        consistencySummary.textContent = `${report.scenarios} scenarios under ${report.ruleset}: ` +
+            `${counts.contradiction} contradictions, ${counts.fallback} fallbacks, ${counts.unreachable} unreachable`;
+        consistencyFindings.innerHTML = '';
+
+        report.findings.forEach(finding => {
+            const item = document.createElement('div');
+            item.className = `consistency-finding ${finding.type}`;
+            item.innerHTML = '<span class="consistency-type"></span><span class="consistency-message"></span>';
+            item.querySelector('.consistency-type').textContent = finding.type;
+            item.querySelector('.consistency-message').textContent = finding.examples.length > 0
+                ? `${finding.message} (${finding.count} scenarios)`
+                : finding.message;
+
+            if (finding.examples.length > 0) {
+                const list = document.createElement('ul');
+                finding.examples.forEach(combo => {
+                    const li = document.createElement('li');
+                    li.textContent = ConsistencyChecker.describeCombo(combo);
+                    list.appendChild(li);
+                });
+                item.appendChild(list);
+            }
+            consistencyFindings.appendChild(item);
+        });
+    }
+
+    document.getElementById('runConsistencyCheck').addEventListener('click', function() {
+        consistencySummary.textContent = 'Checking scenarios...';
+        consistencyFindings.innerHTML = '';
+        // Let the message paint before the sweep runs
+        setTimeout(() => renderConsistencyReport(ConsistencyChecker.run()), 0);
+    });
+
+    run();
+});
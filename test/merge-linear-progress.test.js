@@ -0,0 +1,100 @@
+/**
+ * DecisionEngine.mergeLinearProgress across repeated syncs
+ *
+ * Run with: npm test (node --test test/)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const DecisionEngine = require('../decision-engine.js');
+
+const INPUTS = {
+    oldOwnerName: 'Old Co',
+    newOwnerName: 'New Co',
+    affectedFacilities: 'Sunrise',
+    newFacilityNames: '',
+    newOwnerContact: '',
+    preliminaryOutreach: 'yes',
+    acquisitionDate: '2026-10-01',
+    saleType: 'asset',
+    contractSigned: 'pending',
+    outstandingAR: 'yes',
+    futureBookedShifts: 'yes',
+    financialDistress: 'unknown',
+    willingnessToPay: 'unknown',
+    blacklisted: 'none',
+    badDebt: 'no'
+};
+
+const engine = DecisionEngine.withClock('2026-10-19');
+
+// A case sent to Linear at `sentAt`, synced the way linear-integration.js does:
+// changes become `by: 'Linear'` progress, and the base becomes what Linear said
+function linkedCase(sentAt) {
+    const plan = engine.process(INPUTS);
+    return { progress: {}, syncedPlan: plan, syncedAt: sentAt };
+}
+
+function sync(linked, remote, at) {
+    const { checklist } = engine.process(INPUTS, { progress: linked.progress });
+    const result = engine.mergeLinearProgress({
+        checklist,
+        progress: linked.progress,
+        remote,
+        baseChecklist: linked.syncedPlan.checklist,
+        syncedAt: linked.syncedAt
+    });
+
+    result.changes.forEach(({ task, completed }) => {
+        linked.progress[task.id] = { completed, by: 'Linear', at };
+    });
+    const remoteEntries = {};
+    Object.entries(remote).forEach(([taskId, completed]) => {
+        remoteEntries[taskId] = { completed, by: 'Linear', at };
+    });
+    linked.syncedPlan = {
+        ...linked.syncedPlan,
+        checklist: engine.applyProgress(linked.syncedPlan.checklist, remoteEntries)
+    };
+    return result;
+}
+
+function openTask() {
+    return Object.values(engine.process(INPUTS).checklist).flat().find(task => !task.completed);
+}
+
+test('a task changed in Linear twice is applied both times, not flagged as a conflict', () => {
+    const task = openTask();
+    const linked = linkedCase(1000);
+
+    const first = sync(linked, { [task.id]: true }, 2000);
+    assert.deepStrictEqual(first.changes.map(change => [change.task.id, change.completed]), [[task.id, true]]);
+    assert.strictEqual(first.conflicts.length, 0);
+
+    const second = sync(linked, { [task.id]: false }, 3000);
+    assert.deepStrictEqual(second.changes.map(change => [change.task.id, change.completed]), [[task.id, false]]);
+    assert.strictEqual(second.conflicts.length, 0);
+});
+
+test('a local edit since the last sync still conflicts with a Linear change', () => {
+    const task = openTask();
+    const linked = linkedCase(1000);
+
+    // Ticked then unticked in the app while Linear ticked it
+    linked.progress[task.id] = { completed: false, by: 'Jordan', at: 1500 };
+    const first = sync(linked, { [task.id]: true }, 2000);
+
+    assert.strictEqual(first.changes.length, 0);
+    assert.deepStrictEqual(first.conflicts.map(conflict => [conflict.task.id, conflict.local, conflict.remote]), [[task.id, false, true]]);
+});
+
+test('a local edit Linear has not caught up with is left alone', () => {
+    const task = openTask();
+    const linked = linkedCase(1000);
+
+    linked.progress[task.id] = { completed: true, by: 'Jordan', at: 1500 };
+    const first = sync(linked, { [task.id]: false }, 2000);
+
+    assert.strictEqual(first.changes.length, 0);
+    assert.strictEqual(first.conflicts.length, 0);
+});